@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { AppError } = require('../utils/errorHandler');
@@ -60,8 +61,21 @@ const restrictToCloud = (req, res, next) => {
   next();
 };
 
+// Scheduled triggers (Vercel Cron) send "Bearer <CRON_SECRET>"; without a secret set nothing gets in
+const verifyCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(req.headers.authorization || '');
+
+  if (!secret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return next(new AppError('Invalid cron secret', 401));
+  }
+  next();
+};
+
 module.exports = {
   protect,
   restrictTo,
-  restrictToCloud
+  restrictToCloud,
+  verifyCronSecret
 };
\ No newline at end of file
@@ -0,0 +1,44 @@
+const path = require('path');
+const multer = require('multer');
+const { AppError } = require('../utils/errorHandler');
+
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024;
+const ALLOWED_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Keep uploads in memory; report spreadsheets are small
+const reportFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+      return cb(new AppError('Only .csv and .xlsx files can be imported', 400));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Accept a single report spreadsheet in the "file" field
+const uploadReportFile = (req, res, next) => {
+  reportFileUpload(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return next(new AppError('Please attach a .csv or .xlsx file in the "file" field', 400));
+      }
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large. Maximum size is ${MAX_UPLOAD_SIZE / (1024 * 1024)}MB`
+        : `Upload failed: ${error.message}`;
+      return next(new AppError(message, 400));
+    }
+
+    return next(error);
+  });
+};
+
+module.exports = {
+  uploadReportFile
+};
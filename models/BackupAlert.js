@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const backupAlertSchema = new mongoose.Schema({
+  // Row key of the server: its inventory id, else its normalized name
+  serverKey: {
+    type: String,
+    required: true
+  },
+  server: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First failed day of the streak, as YYYY-MM-DD
+  streakStart: {
+    type: String,
+    required: true
+  },
+  days: {
+    type: Number,
+    required: true
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BackupServer'
+  },
+  recipients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  delivered: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// A failure streak is alerted about once
+backupAlertSchema.index({ serverKey: 1, streakStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('BackupAlert', backupAlertSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { isReportType } = require('../utils/reportTypeRegistry');
+
+const reportCommentSchema = new mongoose.Schema({
+  reportType: {
+    type: String,
+    required: true,
+    validate: {
+      validator: isReportType,
+      message: 'Unknown report type: {VALUE}'
+    }
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'reportType',
+    required: true
+  },
+  // Stable key of the row the thread is about ("server:<id>" or "name:<server>")
+  rowKey: {
+    type: String,
+    required: true
+  },
+  // Server cell of the row when the comment was written
+  rowLabel: {
+    type: String,
+    default: ''
+  },
+  // Set when the comment is about a single cell
+  column: {
+    type: String,
+    default: null
+  },
+  // Top-level comment of the thread; null for the comment starting it
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportComment',
+    default: null
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: {
+    type: Date
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+reportCommentSchema.index({ report: 1, rowKey: 1, createdAt: 1 });
+reportCommentSchema.index({ parent: 1, createdAt: 1 });
+reportCommentSchema.index({ mentions: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReportComment', reportCommentSchema);
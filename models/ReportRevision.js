@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { isReportType } = require('../utils/reportTypeRegistry');
+
+// The grid as it was saved; header fields of the report type are stored alongside
+const snapshotSchema = new mongoose.Schema({
+  reportTitle: String,
+  reportDates: {
+    startDate: Date,
+    endDate: Date
+  },
+  periodKey: String,
+  columns: [String],
+  columnDefinitions: [{
+    _id: false,
+    name: String,
+    type: { type: String },
+    allowedValues: [String],
+    required: Boolean
+  }],
+  rows: [mongoose.Schema.Types.Mixed]
+}, { _id: false, strict: false });
+
+const reportRevisionSchema = new mongoose.Schema({
+  reportType: {
+    type: String,
+    required: true,
+    validate: {
+      validator: isReportType,
+      message: 'Unknown report type: {VALUE}'
+    }
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'reportType',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    default: 'save',
+    trim: true
+  },
+  // Columns renamed by this revision, so old names stay on record
+  columnRenames: [{
+    _id: false,
+    from: String,
+    to: String
+  }],
+  note: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: [500, 'Revision note cannot exceed 500 characters']
+  },
+  snapshot: snapshotSchema
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One revision per report version
+reportRevisionSchema.index({ report: 1, version: -1 }, { unique: true });
+
+// Virtual for row count
+reportRevisionSchema.virtual('rowCount').get(function() {
+  return this.snapshot && this.snapshot.rows ? this.snapshot.rows.length : 0;
+});
+
+// Static method to store the current state of a report as a revision
+reportRevisionSchema.statics.record = async function(report, options = {}) {
+  const snapshot = {
+    reportTitle: report.reportTitle,
+    reportDates: report.reportDates,
+    periodKey: report.periodKey,
+    columns: report.columns,
+    columnDefinitions: report.columnDefinitions,
+    rows: report.rows,
+    reviewStatus: report.reviewStatus
+  };
+
+  const reportType = report.constructor.reportType;
+  (reportType ? reportType.headerFields : []).forEach(field => {
+    snapshot[field.name] = report[field.name];
+  });
+
+  return this.findOneAndUpdate(
+    { report: report._id, version: report.version },
+    {
+      $setOnInsert: {
+        reportType: report.constructor.modelName,
+        author: options.author || report.updatedBy,
+        action: options.action || 'save',
+        note: options.note || '',
+        columnRenames: options.columnRenames || [],
+        snapshot
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('ReportRevision', reportRevisionSchema);
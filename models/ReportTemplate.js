@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { isReportType } = require('../utils/reportTypeRegistry');
+const columnDefinitionSchema = require('./columnDefinitionSchema');
+const { getBuiltInTemplate, buildTemplateRows } = require('../utils/reportTemplates');
+
+const reportTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a template name'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  reportType: {
+    type: String,
+    required: true,
+    validate: {
+      validator: isReportType,
+      message: 'Unknown report type: {VALUE}'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  reportTitle: {
+    type: String,
+    required: [true, 'Please provide a report title'],
+    trim: true,
+    maxlength: [200, 'Report title cannot exceed 200 characters']
+  },
+  columns: {
+    type: [String],
+    validate: {
+      validator: function(arr) {
+        return arr && arr.length > 0 && arr.every(col => col && col.trim().length > 0);
+      },
+      message: 'At least one non-empty column is required'
+    }
+  },
+  columnDefinitions: {
+    type: [columnDefinitionSchema],
+    default: []
+  },
+  // Rows every report created from the template starts with
+  defaultRows: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // The template new reports of this type are created from
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+reportTemplateSchema.index({ reportType: 1, name: 1 }, { unique: true });
+reportTemplateSchema.index(
+  { reportType: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+// Only one default template per report type
+reportTemplateSchema.pre('save', async function() {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await this.constructor.updateMany(
+      { reportType: this.reportType, _id: { $ne: this._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+});
+
+// Method to get the layout a new report starts with
+reportTemplateSchema.methods.toLayout = function() {
+  return {
+    template: this._id,
+    reportTitle: this.reportTitle,
+    columns: [...this.columns],
+    columnDefinitions: this.columnDefinitions.map(def => def.toObject()),
+    rows: buildTemplateRows(this.columns, this.defaultRows)
+  };
+};
+
+/**
+ * Static method to get the layout of a new report: the chosen template, else the
+ * type's default template, else the previous report's columns, else the built-in one
+ */
+reportTemplateSchema.statics.getLayoutForNewReport = async function(reportType, { templateId, previous } = {}) {
+  const template = (templateId && await this.findOne({ _id: templateId, reportType }))
+    || await this.findOne({ reportType, isDefault: true });
+
+  if (template) {
+    return template.toLayout();
+  }
+
+  if (previous?.columns?.length) {
+    return {
+      template: previous.template || null,
+      reportTitle: previous.reportTitle,
+      columns: [...previous.columns],
+      columnDefinitions: previous.columnDefinitions.map(def => (def.toObject ? def.toObject() : def)),
+      rows: []
+    };
+  }
+
+  const builtIn = getBuiltInTemplate(reportType);
+  return {
+    template: null,
+    reportTitle: builtIn.reportTitle,
+    columns: builtIn.columns,
+    columnDefinitions: builtIn.columnDefinitions,
+    rows: []
+  };
+};
+
+module.exports = mongoose.model('ReportTemplate', reportTemplateSchema);
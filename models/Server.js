@@ -0,0 +1,98 @@
+const net = require('net');
+const mongoose = require('mongoose');
+const { normalizeServerName } = require('../utils/serverRefs');
+const { isStorageSize } = require('../utils/storageSize');
+
+const serverSchema = new mongoose.Schema({
+  hostname: {
+    type: String,
+    required: [true, 'Please provide a hostname'],
+    trim: true,
+    maxlength: [253, 'Hostname cannot exceed 253 characters']
+  },
+  // Lowercase alphanumerics of the hostname, used to match report rows
+  normalizedName: {
+    type: String,
+    required: true
+  },
+  ipAddress: {
+    type: String,
+    trim: true,
+    default: '',
+    validate: {
+      validator: function(value) {
+        return !value || net.isIP(value) !== 0;
+      },
+      message: 'Please provide a valid IPv4 or IPv6 address'
+    }
+  },
+  provider: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [100, 'Provider cannot exceed 100 characters']
+  },
+  environment: {
+    type: String,
+    enum: ['production', 'staging', 'development', 'testing', 'other'],
+    default: 'production'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Disk size such as "2 TB", used to forecast when the server fills up
+  storageCapacity: {
+    type: String,
+    trim: true,
+    default: '',
+    validate: {
+      validator: function(value) {
+        return !value || isStorageSize(value);
+      },
+      message: 'Storage capacity must be a size such as 500 GB or 2 TB'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+serverSchema.index({ normalizedName: 1 }, { unique: true });
+serverSchema.index({ environment: 1, provider: 1 });
+serverSchema.index({ tags: 1 });
+serverSchema.index({ owner: 1 });
+
+// Keep the match key and tags tidy
+serverSchema.pre('validate', function(next) {
+  this.normalizedName = normalizeServerName(this.hostname);
+  this.tags = [...new Set((this.tags || [])
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean))];
+  next();
+});
+
+// Static method to find inventory servers by the names used in report rows
+serverSchema.statics.findByNames = function(names) {
+  const normalized = [...new Set(names.map(normalizeServerName).filter(Boolean))];
+  return this.find({ normalizedName: { $in: normalized }, isActive: true });
+};
+
+module.exports = mongoose.model('Server', serverSchema);
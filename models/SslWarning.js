@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const sslWarningSchema = new mongoose.Schema({
+  server: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  // Days-before-expiry threshold the warning was sent for; 0 means expired
+  threshold: {
+    type: Number,
+    required: true
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloudReport'
+  },
+  daysLeft: {
+    type: Number
+  },
+  delivered: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// A certificate (server + expiry date) is warned about once per threshold
+sslWarningSchema.index({ server: 1, expiryDate: 1, threshold: 1 }, { unique: true });
+
+module.exports = mongoose.model('SslWarning', sslWarningSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { COLUMN_TYPES } = require('../utils/dataValidator');
+
+// Type and rules of one grid column, shared by reports and templates
+const columnDefinitionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: COLUMN_TYPES,
+    default: 'text'
+  },
+  allowedValues: {
+    type: [String],
+    default: []
+  },
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+module.exports = columnDefinitionSchema;
@@ -0,0 +1,759 @@
+const mongoose = require('mongoose');
+const { getIsoWeek, getPeriodFromKey } = require('../utils/reportPeriod');
+const ReportRevision = require('./ReportRevision');
+const ReportTemplate = require('./ReportTemplate');
+const Server = require('./Server');
+const columnDefinitionSchema = require('./columnDefinitionSchema');
+const { SERVER_REF_KEY, normalizeServerName, getServerColumn, getRowServerId } = require('../utils/serverRefs');
+const { GridEditor } = require('../utils/gridOperations');
+const { isWeekdayColumn, countStatuses } = require('../utils/statusValues');
+const { registerReportType } = require('../utils/reportTypeRegistry');
+const { getBuiltInTemplate, getBuiltInColumnDefinition } = require('../utils/reportTemplates');
+
+// Sign-off lifecycle: each action moves a report from one of its statuses to the next
+const REVIEW_STATUSES = ['draft', 'submitted', 'approved', 'reopened'];
+const REVIEW_ACTIONS = {
+  submit: { from: ['draft', 'reopened'], to: 'submitted' },
+  approve: { from: ['submitted'], to: 'approved' },
+  reopen: { from: ['submitted', 'approved'], to: 'reopened' }
+};
+
+// Weekly grid report shared by every report type; the type adds its header and extra fields
+const buildReportSchema = (type, config) => {
+  const BUILT_IN = getBuiltInTemplate(type.name);
+
+  const headerFields = {};
+  type.headerFields.forEach(field => {
+    const maxlength = field.maxlength || 200;
+    headerFields[field.name] = {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: [maxlength, `${field.label} cannot exceed ${maxlength} characters`]
+    };
+  });
+
+  const schema = new mongoose.Schema({
+    reportTitle: {
+      type: String,
+      default: BUILT_IN.reportTitle,
+      trim: true,
+      maxlength: [200, 'Report title cannot exceed 200 characters']
+    },
+    reportDates: {
+      startDate: {
+        type: Date,
+        default: Date.now
+      },
+      endDate: {
+        type: Date,
+        default: Date.now
+      }
+    },
+    periodKey: {
+      type: String,
+      trim: true,
+      match: [/^\d{4}-W\d{2}$/, 'Report period must be an ISO week such as 2024-W07']
+    },
+    ...headerFields,
+    ...(config.fields || {}),
+    columns: {
+      type: [String],
+      default: () => [...BUILT_IN.columns],
+      validate: {
+        validator: function(arr) {
+          return arr && arr.length > 0 && arr.every(col => col && col.trim().length > 0);
+        },
+        message: 'At least one non-empty column is required'
+      }
+    },
+    columnDefinitions: {
+      type: [columnDefinitionSchema],
+      default: []
+    },
+    // Template the report was created from
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReportTemplate',
+      default: null
+    },
+    rows: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+      validate: {
+        validator: function(arr) {
+          return Array.isArray(arr);
+        },
+        message: 'Rows must be an array'
+      }
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Sign-off state; approved reports are locked against edits
+    reviewStatus: {
+      type: String,
+      enum: REVIEW_STATUSES,
+      default: 'draft'
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    submittedAt: {
+      type: Date,
+      default: null
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    approvedAt: {
+      type: Date,
+      default: null
+    },
+    reopenedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reopenedAt: {
+      type: Date,
+      default: null
+    },
+    reopenReason: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [500, 'Reopen reason cannot exceed 500 characters']
+    },
+    reviewHistory: [{
+      _id: false,
+      action: {
+        type: String,
+        enum: Object.keys(REVIEW_ACTIONS)
+      },
+      status: {
+        type: String,
+        enum: REVIEW_STATUSES
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: {
+        type: String,
+        default: ''
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Tally of the status cells, kept so history can be listed without loading rows
+    statusCounts: {
+      ok: { type: Number, default: 0 },
+      warning: { type: Number, default: 0 },
+      failure: { type: Number, default: 0 }
+    },
+    version: {
+      type: Number,
+      default: 1
+    },
+    // Versions whose revision failed to record, so gaps in the history show up
+    missingRevisions: {
+      type: [Number],
+      default: []
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    // Set while the report is in the trash; inactive reports without it were superseded
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  }, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  });
+
+  // Index for better performance
+  schema.index({ createdBy: 1, updatedAt: -1 });
+  schema.index({ updatedAt: -1 });
+  schema.index({ isActive: 1 });
+  schema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+  schema.index({ 'rows._serverId': 1 });
+  // One active report per ISO week
+  schema.index(
+    { periodKey: 1 },
+    { unique: true, partialFilterExpression: { periodKey: { $type: 'string' }, isActive: true } }
+  );
+
+  // Virtual for row count
+  schema.virtual('rowCount').get(function() {
+    return this.rows ? this.rows.length : 0;
+  });
+
+  // Virtual for column count
+  schema.virtual('columnCount').get(function() {
+    return this.columns ? this.columns.length : 0;
+  });
+
+  // Static method to get the definition a column gets when none was given
+  schema.statics.defaultColumnDefinition = function(name) {
+    return getBuiltInColumnDefinition(type.name, name);
+  };
+
+  // Static method to assign a period to reports saved before periods existed; run at startup
+  schema.statics.backfillPeriodKeys = async function() {
+    const legacyReports = await this.find({ periodKey: { $exists: false } }).sort({ updatedAt: -1 });
+    const claimed = new Set();
+    
+    for (const report of legacyReports) {
+      const periodKey = getIsoWeek(report.reportDates?.startDate || report.createdAt).key;
+      
+      // Only the most recently updated legacy report can claim a week
+      const taken = claimed.has(periodKey) || await this.exists({ _id: { $ne: report._id }, periodKey, isActive: true });
+      await this.updateOne(
+        { _id: report._id },
+        { $set: taken ? { periodKey, isActive: false } : { periodKey } },
+        { timestamps: false }
+      );
+      claimed.add(periodKey);
+      console.log(`[${type.name} Model] Assigned period ${periodKey} to legacy report ${report._id}`);
+    }
+  };
+
+  // Static method to find the active report for an ISO week (period key or date), or null
+  schema.statics.findReportForPeriod = function(periodOrDate) {
+    const period = typeof periodOrDate === 'string'
+      ? getPeriodFromKey(periodOrDate)
+      : getIsoWeek(periodOrDate || new Date());
+    
+    return this.findOne({ periodKey: period.key, isActive: true });
+  };
+
+  /**
+   * Static method to get the report for an ISO week (period key or date). A missing
+   * report is created, or with options.readOnly returned unsaved so reads never add weeks.
+   */
+  schema.statics.getReportForPeriod = async function(periodOrDate, userId, options = {}) {
+    try {
+      const period = typeof periodOrDate === 'string'
+        ? getPeriodFromKey(periodOrDate)
+        : getIsoWeek(periodOrDate || new Date());
+      
+      console.log(`[${type.name} Model] Getting report for period ${period.key}, user: ${userId}`);
+      
+      let report = await this.findReportForPeriod(period.key);
+      
+      if (!report) {
+        // Start from the chosen or default template, else the latest report's layout
+        const previous = await this.findOne({ isActive: true }).sort({ 'reportDates.startDate': -1 });
+        const layout = await ReportTemplate.getLayoutForNewReport(type.name, { templateId: options.templateId, previous });
+        const draft = {
+          createdBy: userId,
+          updatedBy: userId,
+          reportTitle: layout.reportTitle,
+          reportDates: {
+            startDate: period.startDate,
+            endDate: period.endDate
+          },
+          periodKey: period.key,
+          template: layout.template,
+          columnDefinitions: layout.columnDefinitions,
+          columns: layout.columns,
+          rows: layout.rows
+        };
+        
+        if (options.readOnly) {
+          console.log(`[${type.name} Model] No report for period ${period.key}, returning an unsaved one`);
+          return new this(draft);
+        }
+        
+        console.log(`[${type.name} Model] No report for period ${period.key}, creating new one`);
+        try {
+          report = await this.create(draft);
+        } catch (error) {
+          // Another request created this period's report first
+          if (error.code !== 11000) throw error;
+          report = await this.findReportForPeriod(period.key);
+        }
+        console.log(`[${type.name} Model] Created new report with ID: ${report._id}`);
+      } else {
+        console.log(`[${type.name} Model] Found existing report with ID: ${report._id}, rows: ${report.rows.length}`);
+      }
+      
+      return report;
+    } catch (error) {
+      console.error(`[${type.name} Model] Error in getReportForPeriod:`, error);
+      throw error;
+    }
+  };
+
+  // Static method to get (or with options.readOnly, preview) the current week's report
+  schema.statics.getLatestReport = async function(userId, options = {}) {
+    return this.getReportForPeriod(new Date(), userId, options);
+  };
+
+  /**
+   * Static method to list report summaries, most recently updated first, without
+   * loading rows. Filters: from/to (report week overlaps), updatedBy, createdBy,
+   * reviewStatus, trashed (the trash instead of active reports) and a cursor ({ updatedAt, id } of
+   * the last report already listed).
+   */
+  schema.statics.getHistory = async function({ from, to, updatedBy, createdBy, reviewStatus, trashed = false, cursor, limit = 50 } = {}) {
+    const match = trashed ? { isActive: false, deletedAt: { $ne: null } } : { isActive: true };
+    if (from) match['reportDates.endDate'] = { $gte: from };
+    if (to) match['reportDates.startDate'] = { $lte: to };
+    if (updatedBy) match.updatedBy = new mongoose.Types.ObjectId(updatedBy);
+    if (createdBy) match.createdBy = new mongoose.Types.ObjectId(createdBy);
+    // Reports saved before the sign-off workflow are drafts
+    if (reviewStatus) match.reviewStatus = reviewStatus === 'draft' ? { $in: ['draft', null] } : reviewStatus;
+    if (cursor) {
+      const id = new mongoose.Types.ObjectId(cursor.id);
+      match.$or = [
+        { updatedAt: { $lt: cursor.updatedAt } },
+        { updatedAt: cursor.updatedAt, _id: { $lt: id } }
+      ];
+    }
+    
+    const summaries = await this.aggregate([
+      { $match: match },
+      { $sort: { updatedAt: -1, _id: -1 } },
+      { $limit: limit + 1 },
+      {
+        $project: {
+          reportTitle: 1,
+          reportDates: 1,
+          periodKey: 1,
+          ...Object.fromEntries(type.headerFields.map(field => [field.name, 1])),
+          rowCount: { $size: { $ifNull: ['$rows', []] } },
+          columnCount: { $size: { $ifNull: ['$columns', []] } },
+          statusCounts: 1,
+          reviewStatus: 1,
+          approvedBy: 1,
+          approvedAt: 1,
+          version: 1,
+          isActive: 1,
+          deletedAt: 1,
+          deletedBy: 1,
+          createdBy: 1,
+          updatedBy: 1,
+          createdAt: 1,
+          updatedAt: 1
+        }
+      }
+    ]);
+    
+    const hasMore = summaries.length > limit;
+    const reports = summaries.slice(0, limit);
+    
+    // Reports saved before status counts were kept are counted once and backfilled
+    const uncounted = reports.filter(report => !report.statusCounts);
+    if (uncounted.length > 0) {
+      const grids = await this.find({ _id: { $in: uncounted.map(report => report._id) } }).select('columns rows').lean();
+      const counts = new Map(grids.map(grid => [String(grid._id), countStatuses(grid.rows, grid.columns)]));
+      for (const report of uncounted) {
+        report.statusCounts = counts.get(String(report._id));
+        await this.updateOne({ _id: report._id }, { $set: { statusCounts: report.statusCounts } }, { timestamps: false });
+      }
+    }
+    
+    await this.populate(reports, [
+      { path: 'updatedBy', select: 'name email' },
+      ...(trashed ? [{ path: 'deletedBy', select: 'name email' }] : [])
+    ]);
+    
+    return { reports, hasMore };
+  };
+
+  // Static method to carry a report into a new week: same servers and layout, weekday cells cleared
+  schema.statics.rollOver = async function(previous, period, target = null) {
+    const columns = [...previous.columns];
+    const rows = (previous.rows || []).map(row => {
+      const nextRow = { ...row };
+      columns.filter(isWeekdayColumn).forEach(column => {
+        nextRow[column] = '';
+      });
+      return nextRow;
+    });
+    
+    const report = target || new this({ createdBy: previous.createdBy });
+    report.set({
+      updatedBy: previous.createdBy,
+      reportTitle: previous.reportTitle,
+      reportDates: {
+        startDate: period.startDate,
+        endDate: period.endDate
+      },
+      periodKey: period.key,
+      template: previous.template || null,
+      columnDefinitions: previous.columnDefinitions.map(def => (def.toObject ? def.toObject() : def)),
+      columns,
+      rows
+    });
+    type.headerFields.forEach(field => {
+      report.set(field.name, previous.get(field.name));
+    });
+    report.$locals.revision = { action: 'rollover', note: `Rolled over from ${previous.periodKey}` };
+    
+    try {
+      await report.save();
+    } catch (error) {
+      // Another rollover or request opened this period's report first
+      if (error.code === 11000) return null;
+      throw error;
+    }
+    
+    console.log(`[${type.name} Model] Rolled report ${previous._id} (${previous.periodKey}) over to ${period.key} as ${report._id}`);
+    return report;
+  };
+
+  // Method to validate row data
+  schema.methods.validateRows = function() {
+    if (!this.rows || !Array.isArray(this.rows)) {
+      this.rows = [];
+      return true;
+    }
+    
+    // Check if all rows have the required columns
+    const validRows = this.rows.filter(row => {
+      if (!row || typeof row !== 'object') return false;
+      return this.columns.every(column => row.hasOwnProperty(column));
+    });
+    
+    // Update with valid rows
+    this.rows = validRows;
+    return true;
+  };
+
+  // Method to ensure data consistency
+  schema.methods.ensureDataConsistency = function() {
+    // Ensure columns is always an array
+    if (!Array.isArray(this.columns)) {
+      this.columns = [...BUILT_IN.columns];
+    }
+    
+    // Remove empty columns
+    this.columns = this.columns.filter(col => col && col.trim().length > 0);
+    
+    // Keep exactly one definition per column, in column order
+    const definitions = new Map((this.columnDefinitions || []).map(def => [def.name, def]));
+    this.columnDefinitions = this.columns.map(column => {
+      const definition = definitions.get(column);
+      if (!definition) return this.constructor.defaultColumnDefinition(column);
+      return definition.toObject ? definition.toObject() : definition;
+    });
+    
+    // Ensure rows is always an array
+    if (!Array.isArray(this.rows)) {
+      this.rows = [];
+    }
+    
+    // Ensure each row has all columns
+    this.rows = this.rows.map(row => {
+      if (!row || typeof row !== 'object') {
+        const newRow = {};
+        this.columns.forEach(column => {
+          newRow[column] = '';
+        });
+        return newRow;
+      }
+      
+      // Add missing columns
+      this.columns.forEach(column => {
+        if (!row.hasOwnProperty(column)) {
+          row[column] = '';
+        }
+      });
+      
+      // Remove extra columns not in the column list
+      const cleanRow = {};
+      this.columns.forEach(column => {
+        cleanRow[column] = row[column] || '';
+      });
+      
+      // Keep the link to the server inventory
+      const serverId = getRowServerId(row);
+      if (serverId) {
+        cleanRow[SERVER_REF_KEY] = serverId;
+      }
+      
+      return cleanRow;
+    });
+    
+    return this;
+  };
+
+  // Method to link rows to inventory servers and use their canonical hostnames
+  schema.methods.linkServers = async function() {
+    const serverColumn = getServerColumn(this.columns);
+    if (!serverColumn || !Array.isArray(this.rows) || this.rows.length === 0) {
+      return this;
+    }
+    
+    const ids = this.rows.map(getRowServerId).filter(Boolean);
+    const names = this.rows.map(row => (row ? row[serverColumn] : '')).filter(Boolean);
+    const [serversById, serversByName] = await Promise.all([
+      ids.length > 0 ? Server.find({ _id: { $in: ids }, isActive: true }) : [],
+      Server.findByNames(names)
+    ]);
+    
+    const byId = new Map(serversById.map(server => [String(server._id), server]));
+    const byName = new Map(serversByName.map(server => [server.normalizedName, server]));
+    
+    this.rows = this.rows.map(row => {
+      if (!row || typeof row !== 'object') return row;
+      
+      const name = normalizeServerName(row[serverColumn]);
+      let server = byId.get(getRowServerId(row));
+      
+      // A row whose server cell was retyped to another machine is re-linked by name
+      if (!server || (name && server.normalizedName !== name)) {
+        server = byName.get(name);
+      }
+      
+      const linkedRow = { ...row };
+      if (server) {
+        linkedRow[SERVER_REF_KEY] = String(server._id);
+        linkedRow[serverColumn] = server.hostname;
+      } else {
+        delete linkedRow[SERVER_REF_KEY];
+      }
+      return linkedRow;
+    });
+    
+    return this;
+  };
+
+  // Method to remember column renames so the revision keeps the old names
+  schema.methods.recordColumnRenames = function(renames) {
+    if (!Array.isArray(renames) || renames.length === 0) {
+      return this;
+    }
+    
+    const revision = this.$locals.revision || {};
+    this.$locals.revision = {
+      ...revision,
+      columnRenames: [...(revision.columnRenames || []), ...renames]
+    };
+    return this;
+  };
+
+  // Method to change columns; cell values travel with their column
+  schema.methods.editColumns = function(edit) {
+    const editor = new GridEditor({
+      columns: this.columns,
+      columnDefinitions: (this.columnDefinitions || []).map(def => (def.toObject ? def.toObject() : def)),
+      rows: this.rows
+    }, { defaultDefinition: name => this.constructor.defaultColumnDefinition(name) });
+    
+    edit(editor);
+    
+    const { columns, columnDefinitions, rows, renames } = editor.result();
+    this.columns = columns;
+    this.columnDefinitions = columnDefinitions;
+    this.rows = rows;
+    return this.recordColumnRenames(renames);
+  };
+
+  schema.methods.renameColumn = function(from, to) {
+    return this.editColumns(editor => editor.renameColumn(from, to));
+  };
+
+  schema.methods.moveColumn = function(name, index) {
+    return this.editColumns(editor => editor.moveColumn(name, index));
+  };
+
+  schema.methods.insertColumn = function(name, index = this.columns.length, definition = {}) {
+    return this.editColumns(editor => editor.addColumn(name, index, definition));
+  };
+
+  // Refuses to drop a column holding data unless confirm is true
+  schema.methods.deleteColumn = function(name, { confirm = false } = {}) {
+    return this.editColumns(editor => editor.deleteColumn(name, confirm));
+  };
+
+  // Method to tell whether the report has been approved and may not change
+  schema.methods.isLocked = function() {
+    return this.reviewStatus === 'approved';
+  };
+
+  // Method to submit, approve or reopen the report; reopening needs a reason
+  schema.methods.changeReviewStatus = function(action, userId, reason = '') {
+    const transition = REVIEW_ACTIONS[action];
+    if (!transition) {
+      throw new Error(`Unknown review action: ${action}`);
+    }
+    
+    const current = this.reviewStatus || 'draft';
+    if (!transition.from.includes(current)) {
+      throw new Error(`Cannot ${action} a report that is ${current}`);
+    }
+    
+    const note = String(reason || '').trim();
+    if (action === 'reopen' && !note) {
+      throw new Error('A reason is required to reopen a report');
+    }
+    
+    const now = new Date();
+    if (action === 'submit') {
+      this.submittedBy = userId;
+      this.submittedAt = now;
+    } else if (action === 'approve') {
+      this.approvedBy = userId;
+      this.approvedAt = now;
+    } else {
+      this.reopenedBy = userId;
+      this.reopenedAt = now;
+      this.reopenReason = note;
+    }
+    
+    this.reviewStatus = transition.to;
+    this.reviewHistory.push({ action, status: transition.to, user: userId, reason: note, at: now });
+    this.$locals.revision = {
+      action,
+      note: note || `Report ${transition.to}`,
+      author: userId
+    };
+    
+    return this;
+  };
+
+  // Methods specific to the report type
+  Object.entries(config.methods || {}).forEach(([name, method]) => {
+    schema.methods[name] = method;
+  });
+
+  // Pre-save middleware
+  schema.pre('save', function(next) {
+    console.log(`[${type.name} Model] Pre-save: Saving report with ${this.rows.length} rows and ${this.columns.length} columns`);
+    
+    // Ensure data consistency
+    this.ensureDataConsistency();
+    
+    // Validate rows
+    this.validateRows();
+    
+    this.statusCounts = countStatuses(this.rows, this.columns);
+    
+    // Let the type derive its fields from the rows
+    if (config.beforeSave) {
+      config.beforeSave(this);
+    }
+    
+    // Increment version on update
+    if (!this.isNew) {
+      this.version += 1;
+    }
+    
+    next();
+  });
+
+  // Link rows to the server inventory
+  schema.pre('save', async function() {
+    await this.linkServers();
+  });
+
+  // Post-save middleware
+  schema.post('save', function(doc) {
+    console.log(`[${type.name} Model] Post-save: Report ${doc._id} saved successfully with ${doc.rows.length} rows`);
+  });
+
+  // Let the type react to the saved rows, e.g. send alerts
+  if (config.afterSave) {
+    schema.post('save', async function(doc) {
+      try {
+        await config.afterSave(doc);
+      } catch (error) {
+        console.error(`[${type.name} Model] After-save hook failed for report ${doc._id}:`, error);
+      }
+    });
+  }
+
+  // Record every saved version as a revision
+  schema.post('save', async function(doc) {
+    try {
+      await ReportRevision.record(doc, doc.$locals.revision);
+    } catch (error) {
+      console.error(`[${type.name} Model] Failed to record revision ${doc.version} of report ${doc._id}:`, error);
+      try {
+        await this.constructor.updateOne({ _id: doc._id }, { $addToSet: { missingRevisions: doc.version } }, { timestamps: false });
+      } catch (flagError) {
+        console.error(`[${type.name} Model] Failed to flag missing revision ${doc.version} of report ${doc._id}:`, flagError);
+      }
+    }
+  });
+
+  // Pre-validate middleware
+  schema.pre('validate', function(next) {
+    // Ensure data consistency before validation
+    this.ensureDataConsistency();
+    next();
+  });
+
+  // Error handling
+  schema.post('save', function(error, doc, next) {
+    if (error.name === 'MongoError' && error.code === 11000) {
+      next(new Error('Report with this configuration already exists'));
+    } else {
+      next(error);
+    }
+  });
+
+  return schema;
+};
+
+/**
+ * Register a report type and create its model. The type config gives:
+ * name, slug (URL under /api), label, reportTitle and columnDefinitions of the
+ * built-in layout, headerFields ({ name, label, maxlength } strings entered with
+ * the grid and shown above it in exports), permissions ({ access: 'cloud' | 'admin'
+ * | 'all', manage: 'owner' | 'admin' }) and optionally fields, methods, beforeSave,
+ * afterSave and serialize for type-specific data. With manage 'owner' the team edits
+ * the grid while replacing, deleting, restoring and submitting a report is left to
+ * its creator and admins; with 'admin' only admins change reports at all.
+ */
+const createReportModel = (config) => {
+  const type = registerReportType({
+    name: config.name,
+    slug: config.slug,
+    label: config.label,
+    displayName: config.displayName || `${config.label.charAt(0).toUpperCase()}${config.label.slice(1)}`,
+    logTag: config.logTag || config.slug.toUpperCase(),
+    reportTitle: config.reportTitle,
+    columnDefinitions: config.columnDefinitions,
+    headerFields: config.headerFields || [],
+    permissions: { access: 'cloud', manage: 'owner', ...config.permissions },
+    serialize: config.serialize || (() => ({})),
+    Model: null
+  });
+
+  type.Model = mongoose.model(type.name, buildReportSchema(type, config));
+  type.Model.reportType = type;
+
+  return type.Model;
+};
+
+module.exports = {
+  REVIEW_STATUSES,
+  createReportModel
+};
@@ -0,0 +1,5 @@
+// Load every report type so the registry is complete; add new types here
+require('./CloudReport');
+require('./BackupServer');
+
+module.exports = require('../utils/reportTypeRegistry');
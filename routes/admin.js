@@ -2,8 +2,14 @@ const express = require('express');
 const User = require('../models/User');
 const CloudReport = require('../models/CloudReport');
 const BackupServer = require('../models/BackupServer');
+const ReportTemplate = require('../models/ReportTemplate');
+const { getReportTypes, isReportType } = require('../models/reportTypes');
 const { protect, restrictTo } = require('../middleware/auth');
+const Scheduler = require('../services/scheduler');
+const { registerJobs } = require('../services/jobs');
 const { AppError } = require('../utils/errorHandler');
+const { normalizeColumnDefinitions, validateRowsAgainstDefinitions } = require('../utils/dataValidator');
+const { getBuiltInColumnDefinition, buildTemplateRows } = require('../utils/reportTemplates');
 
 const router = express.Router();
 
@@ -18,7 +24,7 @@ router.get('/stats', async (req, res, next) => {
       User.countDocuments(),
       User.countDocuments({ cloudUser: true }),
       User.countDocuments({ status: 'pending' }),
-      CloudReport.countDocuments()
+      CloudReport.countDocuments({ isActive: true })
     ]);
 
     res.status(200).json({
@@ -183,4 +189,216 @@ router.delete('/users/:id', async (req, res, next) => {
   }
 });
 
+// Apply template fields from a request body, checking columns and default rows
+const applyTemplateFields = (template, body) => {
+  ['name', 'description', 'reportTitle'].forEach(field => {
+    if (body[field] !== undefined) template[field] = body[field];
+  });
+  if (body.isDefault !== undefined) template.isDefault = Boolean(body.isDefault);
+  
+  if (body.columns !== undefined) {
+    if (!Array.isArray(body.columns) || body.columns.length === 0) {
+      throw new AppError('Columns must be a non-empty array', 400);
+    }
+    
+    try {
+      const normalized = normalizeColumnDefinitions(
+        body.columns,
+        template.columnDefinitions,
+        name => getBuiltInColumnDefinition(template.reportType, name)
+      );
+      template.columns = normalized.columns;
+      template.columnDefinitions = normalized.columnDefinitions;
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+  }
+  
+  if (body.defaultRows !== undefined || body.columns !== undefined) {
+    const rows = body.defaultRows !== undefined ? body.defaultRows : template.defaultRows;
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object')) {
+      throw new AppError('Default rows must be an array of objects', 400);
+    }
+    
+    template.defaultRows = buildTemplateRows(template.columns, rows);
+    
+    // Rows are checked for shape and type only; required cells are filled in later
+    const errors = validateRowsAgainstDefinitions(
+      template.defaultRows,
+      template.columnDefinitions.map(def => ({ ...(def.toObject ? def.toObject() : def), required: false }))
+    );
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed for ${errors.length} default cell(s)`, 400, { errors });
+    }
+  }
+};
+
+const handleTemplateError = (error, next) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+  if (error.code === 11000) {
+    return next(new AppError('A template with this name already exists for this report type', 400));
+  }
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => err.message);
+    return next(new AppError(`Validation failed: ${validationErrors.join(', ')}`, 400));
+  }
+  return next(error);
+};
+
+// List report templates (?reportType=)
+router.get('/templates', async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.reportType) filter.reportType = req.query.reportType;
+    
+    const templates = await ReportTemplate.find(filter)
+      .sort({ reportType: 1, isDefault: -1, name: 1 })
+      .populate('updatedBy', 'name email');
+    
+    res.status(200).json({
+      status: 'success',
+      results: templates.length,
+      data: {
+        templates
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get report template
+router.get('/templates/:id', async (req, res, next) => {
+  try {
+    const template = await ReportTemplate.findById(req.params.id).populate('updatedBy', 'name email');
+    
+    if (!template) {
+      return next(new AppError('Template not found', 404));
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create report template
+router.post('/templates', async (req, res, next) => {
+  try {
+    const { reportType, columns } = req.body;
+    
+    if (!isReportType(reportType)) {
+      const names = getReportTypes().map(type => type.name);
+      return next(new AppError(`Report type must be one of: ${names.join(', ')}`, 400));
+    }
+    
+    if (columns === undefined) {
+      return next(new AppError('Columns are required', 400));
+    }
+    
+    const template = new ReportTemplate({
+      reportType,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    applyTemplateFields(template, req.body);
+    await template.save();
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    handleTemplateError(error, next);
+  }
+});
+
+// Update report template; reports already created from it keep their layout
+router.put('/templates/:id', async (req, res, next) => {
+  try {
+    const template = await ReportTemplate.findById(req.params.id);
+    
+    if (!template) {
+      return next(new AppError('Template not found', 404));
+    }
+    
+    if (req.body.reportType !== undefined && req.body.reportType !== template.reportType) {
+      return next(new AppError('The report type of a template cannot be changed', 400));
+    }
+    
+    applyTemplateFields(template, req.body);
+    template.updatedBy = req.user._id;
+    await template.save();
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    handleTemplateError(error, next);
+  }
+});
+
+// Delete report template
+router.delete('/templates/:id', async (req, res, next) => {
+  try {
+    const template = await ReportTemplate.findByIdAndDelete(req.params.id);
+    
+    if (!template) {
+      return next(new AppError('Template not found', 404));
+    }
+    
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List background jobs
+router.get('/jobs', (req, res) => {
+  registerJobs();
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      jobs: Scheduler.list()
+    }
+  });
+});
+
+// Run a background job now
+router.post('/jobs/:name/run', async (req, res, next) => {
+  try {
+    registerJobs();
+    
+    if (!Scheduler.has(req.params.name)) {
+      return next(new AppError(`Unknown job: ${req.params.name}`, 404));
+    }
+    
+    const result = await Scheduler.run(req.params.name);
+    
+    res.status(200).json({
+      status: 'success',
+      message: `Job ${req.params.name} finished`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
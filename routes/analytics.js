@@ -0,0 +1,90 @@
+const express = require('express');
+const { protect, restrictToCloud } = require('../middleware/auth');
+const AnalyticsService = require('../services/analyticsService');
+const { AppError } = require('../utils/errorHandler');
+const { parseDateRange, parseReportTypes } = require('../utils/queryParams');
+const { parseStorageSize } = require('../utils/storageSize');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_UPTIME_DAYS = 90;
+const DEFAULT_STORAGE_DAYS = 365;
+
+// Protect all routes
+router.use(protect);
+router.use(restrictToCloud);
+
+// Inclusive date range ending today unless ?from=&to= say otherwise
+const getDateRange = (query, defaultDays) => {
+  const range = parseDateRange(query);
+  const today = new Date();
+  const to = range.to || new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()) + DAY_MS - 1);
+  const from = range.from || new Date(to.getTime() + 1 - defaultDays * DAY_MS);
+  if (from > to) {
+    throw new AppError('from must not be after to', 400);
+  }
+
+  return { from, to };
+};
+
+// Optional size such as "2 TB" from the query string, in bytes
+const getCapacity = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const size = parseStorageSize(value);
+  if (!size || size.bytes <= 0) {
+    throw new AppError(`${name} must be a size such as 500 GB or 2 TB`, 400);
+  }
+  return size.bytes;
+};
+
+const handleAnalyticsError = (error, next) => {
+  if (error.isOperational) return next(error);
+  next(new AppError('Failed to build analytics', 500));
+};
+
+// Per-server daily status timelines, success rates, failure streaks and MTBF (?from=&to=&type=&server=)
+router.get('/uptime', async (req, res, next) => {
+  try {
+    const types = parseReportTypes(req.user, req.query.type);
+    const { from, to } = getDateRange(req.query, DEFAULT_UPTIME_DAYS);
+
+    const analytics = await AnalyticsService.getUptime(types, { from, to, server: req.query.server });
+
+    res.status(200).json({
+      status: 'success',
+      results: analytics.servers.length,
+      data: analytics
+    });
+  } catch (error) {
+    console.error('[ANALYTICS] Error building uptime analytics:', error);
+    handleAnalyticsError(error, next);
+  }
+});
+
+// Space used per server and in total, with a forecast of when each fills up
+// (?from=&to=&server=&capacity=&totalCapacity=)
+router.get('/storage', async (req, res, next) => {
+  try {
+    const { from, to } = getDateRange(req.query, DEFAULT_STORAGE_DAYS);
+
+    const trends = await AnalyticsService.getStorageTrends({
+      from,
+      to,
+      server: req.query.server,
+      capacity: getCapacity(req.query.capacity, 'capacity'),
+      totalCapacity: getCapacity(req.query.totalCapacity, 'totalCapacity')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: trends.servers.length,
+      data: trends
+    });
+  } catch (error) {
+    console.error('[ANALYTICS] Error building storage trends:', error);
+    handleAnalyticsError(error, next);
+  }
+});
+
+module.exports = router;
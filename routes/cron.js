@@ -0,0 +1,37 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { verifyCronSecret } = require('../middleware/auth');
+const Scheduler = require('../services/scheduler');
+const { registerJobs } = require('../services/jobs');
+const { AppError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+// Only the cron trigger may call these routes
+router.use(verifyCronSecret);
+
+// Run a background job on schedule; serverless deployments have no process to keep timers in
+router.get('/:name', async (req, res, next) => {
+  try {
+    registerJobs();
+
+    if (!Scheduler.has(req.params.name)) {
+      return next(new AppError(`Unknown job: ${req.params.name}`, 404));
+    }
+
+    // A cold start may still be connecting to the database
+    await mongoose.connection.asPromise();
+
+    const result = await Scheduler.run(req.params.name);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Job ${req.params.name} finished`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
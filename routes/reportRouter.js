@@ -0,0 +1,1646 @@
+const express = require('express');
+const { protect, restrictTo, restrictToCloud } = require('../middleware/auth');
+const { uploadReportFile } = require('../middleware/upload');
+const ReportRevision = require('../models/ReportRevision');
+const ReportComment = require('../models/ReportComment');
+const ReportTemplate = require('../models/ReportTemplate');
+const CommentService = require('../services/commentService');
+const TrashService = require('../services/trashService');
+const { AppError } = require('../utils/errorHandler');
+const { normalizeColumnDefinitions, validateChangedCells, validateCellValue } = require('../utils/dataValidator');
+const { diffSnapshots } = require('../utils/reportDiff');
+const { applyGridOperations, resolveColumnRenames, renameRowKeys, composeColumnRenames } = require('../utils/gridOperations');
+const { streamReportCsv, buildExportFilename } = require('../utils/csvExport');
+const { buildReportWorkbook } = require('../utils/xlsxExport');
+const { renderReportPdf } = require('../utils/pdfExport');
+const { parseUploadedTable, buildImportPlan } = require('../utils/reportImport');
+const { getPeriodForDates, isValidPeriodKey } = require('../utils/reportPeriod');
+const { parseDateRange, parsePositiveInt, encodeCursor, parseCursor } = require('../utils/queryParams');
+const { SERVER_REF_KEY, getRowServerId } = require('../utils/serverRefs');
+const { getBuiltInTemplate } = require('../utils/reportTemplates');
+const { REVIEW_STATUSES } = require('../models/reportSchema');
+
+/**
+ * Build the router of a registered report type: grid data, history, revisions,
+ * exports, imports, column edits and comments
+ */
+const createReportRouter = (type) => {
+  const router = express.Router();
+  const Model = type.Model;
+  
+  // Protect all routes
+  router.use(protect);
+  if (type.permissions.access === 'cloud') {
+    router.use(restrictToCloud);
+  } else if (type.permissions.access === 'admin') {
+    router.use(restrictTo('admin'));
+  }
+
+  const BUILT_IN = getBuiltInTemplate(type.name);
+
+  // Owners and admins may change a report, or admins only when the type says so
+  const canManage = (user, report) => {
+    if (user.role === 'admin') return true;
+    return type.permissions.manage === 'owner' && report.createdBy.toString() === user._id.toString();
+  };
+
+  // Every route that changes a report: admin-managed types only take changes from admins
+  const restrictEdits = (req, res, next) => {
+    if (type.permissions.manage === 'admin' && req.user.role !== 'admin') {
+      return next(new AppError(`Only admins can change ${type.label}s`, 403));
+    }
+    next();
+  };
+
+  // Extra header fields of the type (e.g. totalSpaceUsed) by name
+  const getHeaderValues = (source) => type.headerFields.reduce((values, field) => {
+    values[field.name] = (source && source[field.name]) || '';
+    return values;
+  }, {});
+
+  const getExtraHeaders = (data) => type.headerFields.map(field => [field.label, data[field.name]]);
+
+  // Shape a report the way the grid expects it
+  const serializeReport = (report) => {
+    const reportDates = report.reportDates || {
+      startDate: new Date(),
+      endDate: new Date()
+    };
+    const columns = Array.isArray(report.columns) && report.columns.length > 0
+      ? report.columns
+      : BUILT_IN.columns;
+    const rows = Array.isArray(report.rows) ? report.rows : [];
+    
+    // Ensure each row has all columns
+    const sanitizedRows = rows.map(row => {
+      const sanitizedRow = {};
+      columns.forEach(column => {
+        sanitizedRow[column] = (row && row[column]) || '';
+      });
+      if (getRowServerId(row)) {
+        sanitizedRow[SERVER_REF_KEY] = getRowServerId(row);
+      }
+      return sanitizedRow;
+    });
+    
+    return {
+      // Null until the report is first saved
+      id: report.isNew ? null : report._id,
+      reportTitle: report.reportTitle || BUILT_IN.reportTitle,
+      template: report.template || null,
+      reportDates,
+      periodKey: report.periodKey,
+      columns,
+      columnDefinitions: report.columnDefinitions || [],
+      rows: sanitizedRows,
+      ...getHeaderValues(report),
+      ...type.serialize(report),
+      reviewStatus: report.reviewStatus || 'draft',
+      submittedBy: report.submittedBy || null,
+      submittedAt: report.submittedAt || null,
+      approvedBy: report.approvedBy || null,
+      approvedAt: report.approvedAt || null,
+      reopenedBy: report.reopenedBy || null,
+      reopenedAt: report.reopenedAt || null,
+      reopenReason: report.reopenReason || '',
+      version: report.version,
+      updatedBy: report.updatedBy,
+      updatedAt: report.updatedAt,
+      createdAt: report.createdAt
+    };
+  };
+
+  // Reports in the trash are not found by the grid routes
+  const findReport = (id) => Model.findOne({ _id: id, deletedAt: null });
+
+  // Reject a save that was based on an older version than the server copy
+  const assertCurrentVersion = (report, version) => {
+    // Saving without the version the client started from would overwrite other people's edits
+    if (version === undefined || version === null || version === '') {
+      throw new AppError('Version is required to change a report', 400);
+    }
+    
+    const expected = Number(version);
+    if (!Number.isInteger(expected)) {
+      throw new AppError('Version must be an integer', 400);
+    }
+    
+    if (expected !== report.version) {
+      throw new AppError(
+        `Report has been modified by someone else (your version ${expected}, current version ${report.version})`,
+        409,
+        { current: serializeReport(report) }
+      );
+    }
+  };
+
+  // Approved reports are frozen until an admin reopens them
+  const assertUnlocked = (report) => {
+    if (report.isLocked()) {
+      throw new AppError(
+        `This ${type.label} was approved${report.approvedAt ? ` on ${report.approvedAt.toISOString().slice(0, 10)}` : ''} and is locked; an admin must reopen it before it can change`,
+        423
+      );
+    }
+  };
+
+  // Save only if nobody else saved in between loading and writing
+  const saveWithVersionCheck = async (report) => {
+    report.$where = { version: report.version };
+    
+    try {
+      return await report.save();
+    } catch (error) {
+      if (error.name !== 'DocumentNotFoundError') throw error;
+      
+      const current = await Model.findById(report._id);
+      throw new AppError(
+        'Report has been modified by someone else while saving',
+        409,
+        { current: current ? serializeReport(current) : null }
+      );
+    }
+  };
+
+  // Column position from a request body; form and query clients may send it as a string
+  const parseColumnIndex = (index) => {
+    if (index === undefined) return undefined;
+    const position = Number(index);
+    if (index === null || index === '' || !Number.isInteger(position) || position < 0) {
+      throw new AppError('Index must be a whole number of at least 0', 400);
+    }
+    return position;
+  };
+
+  // Load a report, apply one column change to it and save it as a revision
+  const saveColumnChange = async (req, version, change, revision) => {
+    const { id } = req.params;
+    
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      throw new AppError('Invalid report ID format', 400);
+    }
+    
+    if (version === undefined || version === null || version === '') {
+      throw new AppError('Version is required to change columns', 400);
+    }
+    
+    const report = await findReport(id);
+    if (!report) {
+      throw new AppError('Report not found', 404);
+    }
+    
+    assertUnlocked(report);
+    assertCurrentVersion(report, version);
+    
+    try {
+      change(report);
+    } catch (error) {
+      throw new AppError(error.message, 400, {
+        requiresConfirmation: Boolean(error.requiresConfirmation),
+        filledRows: error.filledRows
+      });
+    }
+    
+    report.updatedBy = req.user._id;
+    report.$locals.revision = { ...report.$locals.revision, ...revision };
+    
+    return saveWithVersionCheck(report);
+  };
+
+  const handleColumnError = (error, next, message) => {
+    console.error(`[${type.logTag}] ${message}:`, error);
+    if (error.isOperational) {
+      return next(error);
+    }
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return next(new AppError(`Validation failed: ${validationErrors.join(', ')}`, 400));
+    }
+    return next(new AppError(message, 500));
+  };
+
+  // Apply typed columns and rows to a report, rejecting cells that do not fit their column
+  const applyGrid = (report, { columns, columnDefinitions, rows, columnRenames }) => {
+    // Remove empty columns
+    const namedColumns = columns.filter(col => {
+      const name = col && typeof col === 'object' ? col.name : col;
+      return name && String(name).trim();
+    });
+    const columnNames = namedColumns.map(col => String(col && typeof col === 'object' ? col.name : col).trim());
+    
+    let normalized;
+    let renames;
+    try {
+      // Renamed columns keep their values and type instead of starting empty
+      renames = resolveColumnRenames(report.columns, columnNames, columnRenames);
+      const definitions = (columnDefinitions || report.columnDefinitions).map(def => (def.toObject ? def.toObject() : def));
+      renames.forEach(({ from, to }) => {
+        const previous = definitions.find(def => def.name === from);
+        if (previous && !definitions.some(def => def.name === to)) {
+          definitions.push({ ...previous, name: to });
+        }
+      });
+      
+      normalized = normalizeColumnDefinitions(namedColumns, definitions, Model.defaultColumnDefinition);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+    
+    // Validate that each row has the correct structure
+    const validatedRows = renameRowKeys(rows, renames).map((row, index) => {
+      if (!row || typeof row !== 'object') {
+        throw new AppError(`Row ${index + 1} must be a valid object`, 400);
+      }
+      
+      const validatedRow = {};
+      normalized.columns.forEach(column => {
+        validatedRow[column] = (row[column] || '').toString().trim();
+      });
+      
+      // Rows picked from the server inventory carry its id
+      if (getRowServerId(row)) {
+        validatedRow[SERVER_REF_KEY] = getRowServerId(row);
+      }
+      
+      return validatedRow;
+    });
+    
+    // Only cells that changed are checked; older free text under the same rules is kept
+    const previousDefinitions = report.columns.map(column => {
+      const definition = report.columnDefinitions.find(def => def.name === column) || Model.defaultColumnDefinition(column);
+      const rename = renames.find(({ from }) => from === column);
+      return { ...(definition.toObject ? definition.toObject() : definition), name: rename ? rename.to : column };
+    });
+    const errors = validateChangedCells(validatedRows, normalized.columnDefinitions, {
+      columnDefinitions: previousDefinitions,
+      rows: renameRowKeys(report.rows, renames)
+    });
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed for ${errors.length} cell(s)`, 400, { errors });
+    }
+    
+    report.columns = normalized.columns;
+    report.columnDefinitions = normalized.columnDefinitions;
+    report.rows = validatedRows;
+    report.recordColumnRenames(renames);
+  };
+
+  // Check a template picked by the client belongs to this report type
+  const findTemplateId = async (template) => {
+    if (template === undefined || template === null || template === '') return undefined;
+    
+    if (!String(template).match(/^[0-9a-fA-F]{24}$/) || !(await ReportTemplate.exists({ _id: template, reportType: type.name }))) {
+      throw new AppError('Report template not found', 404);
+    }
+    
+    return template;
+  };
+
+  // Find the report to export: by id, by ?period= or the current week
+  const findReportForExport = async (req) => {
+    const { id } = req.params;
+    const { period } = req.query;
+    
+    if (id) {
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        throw new AppError('Invalid report ID format', 400);
+      }
+      const report = await findReport(id);
+      if (!report) {
+        throw new AppError('Report not found', 404);
+      }
+      return report;
+    }
+    
+    if (period) {
+      if (!isValidPeriodKey(period)) {
+        throw new AppError('Period must be an ISO week such as 2024-W07', 400);
+      }
+      const report = await Model.findReportForPeriod(period);
+      if (!report) {
+        throw new AppError(`No report found for period ${period}`, 404);
+      }
+      return report;
+    }
+    
+    const report = await Model.findReportForPeriod(new Date());
+    if (!report) {
+      throw new AppError('No report found for the current week', 404);
+    }
+    return report;
+  };
+
+  // List the templates a new report can be created from
+  router.get('/templates', async (req, res, next) => {
+    try {
+      const templates = await ReportTemplate.find({ reportType: type.name })
+        .select('name description reportTitle columns isDefault')
+        .sort({ isDefault: -1, name: 1 });
+      
+      res.status(200).json({
+        status: 'success',
+        results: templates.length,
+        data: {
+          templates
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error fetching templates:`, error);
+      return next(new AppError('Failed to fetch report templates', 500));
+    }
+  });
+
+  // Get report data
+  router.get('/data', async (req, res, next) => {
+    try {
+      console.log(`[${type.logTag}] Getting data for user: ${req.user._id}`);
+      
+      const { period, template } = req.query;
+      if (period && !isValidPeriodKey(period)) {
+        return next(new AppError('Period must be an ISO week such as 2024-W07', 400));
+      }
+      
+      // A template only applies when the period's report does not exist yet
+      const templateId = await findTemplateId(template);
+      
+      // A week without a report comes back unsaved; the first save creates it
+      let report = period
+        ? await Model.getReportForPeriod(period, req.user._id, { templateId, readOnly: true })
+        : await Model.getLatestReport(req.user._id, { templateId, readOnly: true });
+      
+      const data = serializeReport(report);
+      
+      console.log(`[${type.logTag}] Returning data - Rows: ${data.rows.length}, Columns: ${data.columns.length}`);
+      
+      res.status(200).json({
+        status: 'success',
+        data
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error fetching data:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      return next(new AppError(`Failed to fetch ${type.label} data`, 500));
+    }
+  });
+
+  // Save report data
+  router.post('/save', restrictEdits, async (req, res, next) => {
+    try {
+      const { 
+        columns, 
+        rows, 
+        reportTitle, 
+        reportDates,
+        columnDefinitions,
+        columnRenames,
+        template,
+        version
+      } = req.body;
+      
+      console.log(`[${type.logTag}] Saving data for user: ${req.user._id}`);
+      console.log(`[${type.logTag}] Data to save:`, {
+        columnsCount: columns ? columns.length : 0,
+        rowsCount: rows ? rows.length : 0,
+        reportTitle,
+        ...getHeaderValues(req.body)
+      });
+      
+      // Validate required fields
+      if (!columns || !Array.isArray(columns)) {
+        return next(new AppError('Columns must be a valid array', 400));
+      }
+      
+      if (!rows || !Array.isArray(rows)) {
+        return next(new AppError('Rows must be a valid array', 400));
+      }
+      
+      if (columns.length === 0) {
+        return next(new AppError('At least one column is required', 400));
+      }
+      
+      if (columnDefinitions && !Array.isArray(columnDefinitions)) {
+        return next(new AppError('Column definitions must be a valid array', 400));
+      }
+      
+      // Get or create the report for the week these dates fall in
+      const period = getPeriodForDates(reportDates);
+      const templateId = await findTemplateId(template);
+      let report = await Model.getReportForPeriod(period.key, req.user._id, { templateId });
+      assertUnlocked(report);
+      assertCurrentVersion(report, version);
+      
+      // Update report data
+      report.reportTitle = reportTitle || report.reportTitle;
+      report.reportDates = {
+        startDate: reportDates?.startDate || period.startDate,
+        endDate: reportDates?.endDate || period.endDate
+      };
+      applyGrid(report, { columns, columnDefinitions, rows, columnRenames });
+      // Types may derive these from the rows on save
+      Object.assign(report, getHeaderValues(req.body));
+      report.updatedBy = req.user._id;
+      
+      // Save the report
+      const savedReport = await saveWithVersionCheck(report);
+      
+      console.log(`[${type.logTag}] Data saved successfully with ID: ${savedReport._id}`);
+      console.log(`[${type.logTag}] Saved data contains ${savedReport.rows.length} rows and ${savedReport.columns.length} columns`);
+      
+      res.status(200).json({
+        status: 'success',
+        message: `${type.displayName} data saved successfully`,
+        data: {
+          id: savedReport._id,
+          periodKey: savedReport.periodKey,
+          rowsCount: savedReport.rows.length,
+          columnsCount: savedReport.columns.length,
+          version: savedReport.version,
+          updatedAt: savedReport.updatedAt
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error saving data:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => err.message);
+        return next(new AppError(`Validation failed: ${validationErrors.join(', ')}`, 400));
+      }
+      return next(new AppError(`Failed to save ${type.label} data`, 500));
+    }
+  });
+
+  // Get report history as summaries (?from=&to=&updatedBy=&reviewStatus=&cursor=&limit=)
+  router.get('/history', async (req, res, next) => {
+    try {
+      const limit = parsePositiveInt(req.query.limit, 'limit', 50, 200);
+      const { from, to } = parseDateRange(req.query);
+      const cursor = parseCursor(req.query.cursor);
+      const { updatedBy, reviewStatus } = req.query;
+      
+      if (updatedBy && !updatedBy.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid user ID format', 400));
+      }
+      
+      if (reviewStatus && !REVIEW_STATUSES.includes(reviewStatus)) {
+        return next(new AppError(`Review status must be one of ${REVIEW_STATUSES.join(', ')}`, 400));
+      }
+      
+      const { reports, hasMore } = await Model.getHistory({ from, to, updatedBy, reviewStatus, cursor, limit });
+      
+      res.status(200).json({
+        status: 'success',
+        results: reports.length,
+        data: {
+          reports: reports.map(report => ({
+            id: report._id,
+            reportTitle: report.reportTitle || BUILT_IN.reportTitle,
+            reportDates: report.reportDates,
+            periodKey: report.periodKey,
+            ...getHeaderValues(report),
+            rowCount: report.rowCount,
+            columnCount: report.columnCount,
+            statusCounts: report.statusCounts,
+            reviewStatus: report.reviewStatus || 'draft',
+            approvedBy: report.approvedBy || null,
+            approvedAt: report.approvedAt || null,
+            version: report.version,
+            createdBy: report.createdBy,
+            updatedBy: report.updatedBy,
+            createdAt: report.createdAt,
+            updatedAt: report.updatedAt
+          })),
+          pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(reports[reports.length - 1]) : null
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error fetching history:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      return next(new AppError(`Failed to fetch ${type.label} history`, 500));
+    }
+  });
+
+  // List reports in the trash: all of them for admins, their own for owners
+  router.get('/trash', async (req, res, next) => {
+    try {
+      const isAdmin = req.user.role === 'admin';
+      if (!isAdmin && type.permissions.manage !== 'owner') {
+        return next(new AppError('You do not have permission to view the trash', 403));
+      }
+      
+      const limit = parsePositiveInt(req.query.limit, 'limit', 50, 200);
+      const cursor = parseCursor(req.query.cursor);
+      
+      const { reports, hasMore } = await Model.getHistory({
+        trashed: true,
+        createdBy: isAdmin ? undefined : req.user._id,
+        cursor,
+        limit
+      });
+      
+      res.status(200).json({
+        status: 'success',
+        results: reports.length,
+        data: {
+          retentionDays: TrashService.getRetentionDays(),
+          reports: reports.map(report => ({
+            id: report._id,
+            reportTitle: report.reportTitle || BUILT_IN.reportTitle,
+            reportDates: report.reportDates,
+            periodKey: report.periodKey,
+            rowCount: report.rowCount,
+            version: report.version,
+            createdBy: report.createdBy,
+            deletedAt: report.deletedAt,
+            deletedBy: report.deletedBy,
+            purgeAt: TrashService.getPurgeDate(report.deletedAt)
+          })),
+          pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(reports[reports.length - 1]) : null
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error fetching trash:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      return next(new AppError(`Failed to fetch ${type.label} trash`, 500));
+    }
+  });
+
+  // Restore a report from the trash
+  router.post('/trash/:id/restore', restrictEdits, async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      const report = await Model.findOne({ _id: id, isActive: false, deletedAt: { $ne: null } });
+      if (!report) {
+        return next(new AppError('Report not found in trash', 404));
+      }
+      
+      if (!canManage(req.user, report)) {
+        return next(new AppError('You do not have permission to restore this report', 403));
+      }
+      
+      // Only one active report may hold a week
+      const conflictMessage = `Another ${type.label} is already active for period ${report.periodKey}; delete it before restoring this one`;
+      if (report.periodKey && await Model.exists({ periodKey: report.periodKey, isActive: true })) {
+        return next(new AppError(conflictMessage, 409));
+      }
+      
+      try {
+        await Model.updateOne(
+          { _id: id },
+          { $set: { isActive: true, deletedAt: null, deletedBy: null } }
+        );
+      } catch (error) {
+        if (error.code === 11000) {
+          return next(new AppError(conflictMessage, 409));
+        }
+        throw error;
+      }
+      
+      const restored = await findReport(id);
+      
+      console.log(`[${type.logTag}] Report ${id} restored from trash by user ${req.user._id}`);
+      
+      res.status(200).json({
+        status: 'success',
+        data: serializeReport(restored)
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error restoring report from trash:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      return next(new AppError('Failed to restore report', 500));
+    }
+  });
+
+  // Permanently delete a report in the trash, with its revisions and comments
+  router.delete('/trash/:id', restrictTo('admin'), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      const report = await Model.findOne({ _id: id, isActive: false, deletedAt: { $ne: null } }).select('_id');
+      if (!report) {
+        return next(new AppError('Report not found in trash', 404));
+      }
+      
+      await TrashService.purgeReport(Model, report._id);
+      
+      console.log(`[${type.logTag}] Report ${id} purged by admin ${req.user._id}`);
+      
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error purging report:`, error);
+      return next(new AppError('Failed to purge report', 500));
+    }
+  });
+
+  // Get revision list of a report
+  router.get('/:id/revisions', async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      const report = await findReport(id).select('_id version missingRevisions');
+      if (!report) {
+        return next(new AppError('Report not found', 404));
+      }
+      
+      const revisions = await ReportRevision.find({ report: id })
+        .select('-snapshot.rows')
+        .sort({ version: -1 })
+        .populate('author', 'name email');
+      
+      res.status(200).json({
+        status: 'success',
+        results: revisions.length,
+        data: {
+          currentVersion: report.version,
+          missingVersions: report.missingRevisions || [],
+          revisions: revisions.map(revision => ({
+            version: revision.version,
+            action: revision.action,
+            note: revision.note,
+            author: revision.author,
+            createdAt: revision.createdAt,
+            columns: revision.snapshot.columns
+          }))
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error fetching revisions:`, error);
+      return next(new AppError('Failed to fetch report revisions', 500));
+    }
+  });
+
+  // Get a single revision of a report
+  router.get('/:id/revisions/:version', async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const version = parseInt(req.params.version);
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      if (!Number.isInteger(version) || version < 1) {
+        return next(new AppError('Version must be a positive integer', 400));
+      }
+      
+      const report = await findReport(id).select('_id missingRevisions');
+      if (!report) {
+        return next(new AppError('Report not found', 404));
+      }
+      
+      const revision = await ReportRevision.findOne({ report: id, version })
+        .populate('author', 'name email');
+      if (!revision) {
+        const recordFailed = (report.missingRevisions || []).includes(version);
+        return next(new AppError(recordFailed ? `Revision ${version} was not recorded` : `Revision ${version} not found`, 404));
+      }
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          revision
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error fetching revision:`, error);
+      return next(new AppError('Failed to fetch report revision', 500));
+    }
+  });
+
+  // Get cell-level diff between two revisions (?from=&to=)
+  router.get('/:id/diff', async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      const report = await findReport(id).select('_id version');
+      if (!report) {
+        return next(new AppError('Report not found', 404));
+      }
+      
+      const to = req.query.to !== undefined ? parseInt(req.query.to) : report.version;
+      const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+      
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+        return next(new AppError('Revision versions must be positive integers', 400));
+      }
+      
+      const revisions = await ReportRevision.find({ report: id, version: { $in: [from, to] } })
+        .populate('author', 'name email');
+      
+      // Renames recorded in between let the diff follow a column under its new name
+      const renameRevisions = await ReportRevision.find({
+        report: id,
+        version: { $gt: Math.min(from, to), $lte: Math.max(from, to) },
+        'columnRenames.0': { $exists: true }
+      }).sort({ version: 1 }).select('columnRenames');
+      const renames = composeColumnRenames(renameRevisions.flatMap(revision =>
+        revision.columnRenames.map(rename => ({ from: rename.from, to: rename.to }))
+      )).map(rename => (from < to ? rename : { from: rename.to, to: rename.from }));
+      const fromRevision = revisions.find(revision => revision.version === from);
+      const toRevision = revisions.find(revision => revision.version === to);
+      
+      if (!fromRevision || !toRevision) {
+        return next(new AppError(`Revision ${!fromRevision ? from : to} not found`, 404));
+      }
+      
+      const describe = revision => ({
+        version: revision.version,
+        action: revision.action,
+        author: revision.author,
+        createdAt: revision.createdAt
+      });
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          from: describe(fromRevision),
+          to: describe(toRevision),
+          diff: diffSnapshots(fromRevision.snapshot.toObject(), toRevision.snapshot.toObject(), {
+            renames,
+            fields: type.headerFields.map(field => field.name)
+          })
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error building diff:`, error);
+      return next(new AppError('Failed to compare report revisions', 500));
+    }
+  });
+
+  // Roll a report back to an earlier revision
+  router.post('/:id/restore', restrictEdits, async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { revision, version, note } = req.body;
+      const targetVersion = parseInt(revision);
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      if (!Number.isInteger(targetVersion) || targetVersion < 1) {
+        return next(new AppError('Revision to restore must be a positive integer', 400));
+      }
+      
+      const report = await findReport(id);
+      if (!report) {
+        return next(new AppError('Report not found', 404));
+      }
+      
+      // Check if user has permission to update
+      if (!canManage(req.user, report)) {
+        return next(new AppError('You do not have permission to update this report', 403));
+      }
+      
+      assertUnlocked(report);
+      assertCurrentVersion(report, version);
+      
+      if (targetVersion >= report.version) {
+        return next(new AppError(`Revision ${targetVersion} is not earlier than the current version ${report.version}`, 400));
+      }
+      
+      const target = await ReportRevision.findOne({ report: id, version: targetVersion });
+      if (!target) {
+        return next(new AppError(`Revision ${targetVersion} not found`, 404));
+      }
+      
+      const { snapshot } = target;
+      report.reportTitle = snapshot.reportTitle;
+      report.reportDates = snapshot.reportDates;
+      report.columns = snapshot.columns;
+      if (snapshot.columnDefinitions && snapshot.columnDefinitions.length > 0) {
+        report.columnDefinitions = snapshot.columnDefinitions;
+      }
+      report.rows = snapshot.rows;
+      type.headerFields.forEach(field => {
+        if (snapshot.get(field.name) !== undefined) report[field.name] = snapshot.get(field.name);
+      });
+      report.updatedBy = req.user._id;
+      
+      // The rollback is itself a new revision
+      report.$locals.revision = {
+        action: 'restore',
+        note: note ? `Restored from version ${targetVersion}: ${note}` : `Restored from version ${targetVersion}`
+      };
+      
+      const restoredReport = await saveWithVersionCheck(report);
+      
+      console.log(`[${type.logTag}] Report ${id} restored to version ${targetVersion} by user ${req.user._id}`);
+      
+      res.status(200).json({
+        status: 'success',
+        message: `Report restored to version ${targetVersion}`,
+        data: {
+          restoredFrom: targetVersion,
+          report: serializeReport(restoredReport)
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error restoring report:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      return next(new AppError('Failed to restore report', 500));
+    }
+  });
+
+  // Export a report as CSV (current week, ?period= or by id)
+  const exportCsv = async (req, res, next) => {
+    try {
+      const report = await findReportForExport(req);
+      const data = serializeReport(report);
+      
+      console.log(`[${type.logTag}] Exporting report ${report._id} as CSV for user ${req.user._id}`);
+      
+      res.status(200);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${buildExportFilename(type.slug, data, 'csv')}"`);
+      
+      streamReportCsv(res, data, {
+        extraHeaders: getExtraHeaders(data)
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error exporting CSV:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      return next(new AppError('Failed to export report', 500));
+    }
+  };
+
+  router.get('/export/csv', exportCsv);
+  router.get('/:id/export/csv', exportCsv);
+
+  // Export a report as an XLSX workbook with coloured status cells
+  const exportXlsx = async (req, res, next) => {
+    try {
+      const report = await findReportForExport(req);
+      const data = serializeReport(report);
+      const workbook = buildReportWorkbook(data, {
+        extraHeaders: getExtraHeaders(data)
+      });
+      
+      console.log(`[${type.logTag}] Exporting report ${report._id} as XLSX for user ${req.user._id}`);
+      
+      res.status(200);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${buildExportFilename(type.slug, data, 'xlsx')}"`);
+      
+      await workbook.xlsx.write(res);
+      res.end();
+    } catch (error) {
+      console.error(`[${type.logTag}] Error exporting XLSX:`, error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      if (error.isOperational) {
+        return next(error);
+      }
+      return next(new AppError('Failed to export report', 500));
+    }
+  };
+
+  router.get('/export/xlsx', exportXlsx);
+  router.get('/:id/export/xlsx', exportXlsx);
+
+  // Export a report as a print-ready PDF
+  const exportPdf = async (req, res, next) => {
+    try {
+      const report = await findReportForExport(req);
+      const data = serializeReport(report);
+      
+      console.log(`[${type.logTag}] Exporting report ${report._id} as PDF for user ${req.user._id}`);
+      
+      res.status(200);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${buildExportFilename(type.slug, data, 'pdf')}"`);
+      
+      renderReportPdf(res, data, {
+        extraHeaders: getExtraHeaders(data),
+        generatedBy: `${req.user.name} <${req.user.email}>`
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error exporting PDF:`, error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      if (error.isOperational) {
+        return next(error);
+      }
+      return next(new AppError('Failed to export report', 500));
+    }
+  };
+
+  router.get('/export/pdf', exportPdf);
+  router.get('/:id/export/pdf', exportPdf);
+
+  // Import rows from a CSV or XLSX upload (dry run unless dryRun=false)
+  router.post('/import', restrictEdits, uploadReportFile, async (req, res, next) => {
+    try {
+      const { period, version } = req.body;
+      const dryRun = req.body.dryRun !== 'false';
+      const mode = req.body.mode === 'replace' ? 'replace' : 'append';
+      const unknownColumns = req.body.unknownColumns === 'add' ? 'add' : 'ignore';
+      
+      if (period && !isValidPeriodKey(period)) {
+        return next(new AppError('Period must be an ISO week such as 2024-W07', 400));
+      }
+      
+      let table;
+      try {
+        table = await parseUploadedTable(req.file);
+      } catch (parseError) {
+        return next(new AppError(`Could not read ${req.file.originalname}: ${parseError.message}`, 400));
+      }
+      
+      // A dry run only previews the import, so it must not create the week's report
+      const report = period
+        ? await Model.getReportForPeriod(period, req.user._id, { readOnly: dryRun })
+        : await Model.getLatestReport(req.user._id, { readOnly: dryRun });
+      
+      const plan = buildImportPlan(table, report.columns, {
+        unknownColumns,
+        columnDefinitions: report.columnDefinitions
+      });
+      
+      console.log(`[${type.logTag}] Import of ${req.file.originalname} by user ${req.user._id}: ${plan.summary.importedRows}/${plan.summary.totalRows} rows, ${plan.summary.errors} errors, dry run: ${dryRun}`);
+      
+      if (dryRun) {
+        return res.status(200).json({
+          status: 'success',
+          data: {
+            dryRun: true,
+            reportId: report.isNew ? null : report._id,
+            periodKey: report.periodKey,
+            version: report.version,
+            mode,
+            ...plan
+          }
+        });
+      }
+      
+      if (plan.summary.errors > 0) {
+        return next(new AppError(
+          `Import has ${plan.summary.errors} error(s); fix them and try again`,
+          400,
+          { problems: plan.problems, summary: plan.summary }
+        ));
+      }
+      
+      assertUnlocked(report);
+      assertCurrentVersion(report, version);
+      
+      const importedRows = plan.rows.map(entry => entry.row);
+      report.columns = plan.columns;
+      report.rows = mode === 'replace' ? importedRows : [...report.rows, ...importedRows];
+      report.updatedBy = req.user._id;
+      report.$locals.revision = {
+        action: 'import',
+        note: `${mode === 'replace' ? 'Replaced rows with' : 'Appended'} ${importedRows.length} row(s) from ${req.file.originalname}`
+      };
+      
+      const savedReport = await saveWithVersionCheck(report);
+      
+      res.status(200).json({
+        status: 'success',
+        message: `Imported ${importedRows.length} row(s)`,
+        data: {
+          dryRun: false,
+          id: savedReport._id,
+          periodKey: savedReport.periodKey,
+          version: savedReport.version,
+          rowsCount: savedReport.rows.length,
+          columnsCount: savedReport.columns.length,
+          problems: plan.problems,
+          summary: plan.summary
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error importing rows:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      return next(new AppError('Failed to import report rows', 500));
+    }
+  });
+
+  // Apply cell-level operations to a report atomically against a version
+  router.patch('/:id', restrictEdits, async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { operations, version } = req.body;
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      if (version === undefined || version === null) {
+        return next(new AppError('Version is required to patch a report', 400));
+      }
+      
+      const report = await findReport(id);
+      if (!report) {
+        return next(new AppError('Report not found', 404));
+      }
+      
+      assertUnlocked(report);
+      assertCurrentVersion(report, version);
+      
+      let result;
+      try {
+        result = applyGridOperations({
+          columns: report.columns,
+          columnDefinitions: report.columnDefinitions.map(def => def.toObject()),
+          rows: report.rows
+        }, operations, { defaultDefinition: Model.defaultColumnDefinition });
+      } catch (operationError) {
+        return next(new AppError(operationError.message, 400, {
+          operationIndex: operationError.operationIndex,
+          requiresConfirmation: Boolean(operationError.requiresConfirmation)
+        }));
+      }
+      
+      // Every row is checked against the new definitions, so an added required column or a bad
+      // default value is caught; cells that keep their earlier value under the same rules are let through
+      const renames = composeColumnRenames(result.renames);
+      const errors = validateChangedCells(result.rows, result.columnDefinitions, {
+        columnDefinitions: report.columnDefinitions.map(def => {
+          const rename = renames.find(({ from }) => from === def.name);
+          return { ...def.toObject(), name: rename ? rename.to : def.name };
+        }),
+        rows: renameRowKeys(report.rows, renames)
+      });
+      if (errors.length > 0) {
+        return next(new AppError(`Validation failed for ${errors.length} cell(s)`, 400, { errors }));
+      }
+      
+      report.columns = result.columns;
+      report.columnDefinitions = result.columnDefinitions;
+      report.rows = result.rows;
+      report.updatedBy = req.user._id;
+      report.$locals.revision = {
+        action: 'patch',
+        note: `${operations.length} operation(s): ${[...new Set(operations.map(operation => operation.op))].join(', ')}`
+      };
+      report.recordColumnRenames(result.renames);
+      
+      const savedReport = await saveWithVersionCheck(report);
+      
+      console.log(`[${type.logTag}] Report ${id} patched with ${operations.length} operation(s) by user ${req.user._id}`);
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          id: savedReport._id,
+          version: savedReport.version,
+          rowsCount: savedReport.rows.length,
+          columnsCount: savedReport.columns.length,
+          updatedAt: savedReport.updatedAt
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error patching report:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => err.message);
+        return next(new AppError(`Validation failed: ${validationErrors.join(', ')}`, 400));
+      }
+      return next(new AppError('Failed to patch report', 500));
+    }
+  });
+
+  // Insert a column at a position (body: name, index, definition, version)
+  router.post('/:id/columns', restrictEdits, async (req, res, next) => {
+    try {
+      const { name, definition, version } = req.body;
+      const index = parseColumnIndex(req.body.index);
+      
+      const savedReport = await saveColumnChange(req, version, report => {
+        report.insertColumn(name, index === undefined ? report.columns.length : index, definition);
+        
+        // A required column or a default value must still fit the column type
+        const columnName = String(name).trim();
+        const columnDefinition = report.columnDefinitions.find(def => def.name === columnName);
+        const message = report.rows.length > 0 ? validateCellValue(report.rows[0][columnName], columnDefinition) : null;
+        if (message) {
+          throw new Error(message);
+        }
+      }, {
+        action: 'column-insert',
+        note: `Column "${name}" inserted`
+      });
+      
+      console.log(`[${type.logTag}] Column "${name}" inserted into report ${req.params.id} by user ${req.user._id}`);
+      
+      res.status(201).json({
+        status: 'success',
+        data: {
+          report: serializeReport(savedReport)
+        }
+      });
+    } catch (error) {
+      return handleColumnError(error, next, 'Failed to insert column');
+    }
+  });
+
+  // Rename and/or move a column; its cell values go with it (body: name, index, version)
+  router.patch('/:id/columns/:column', restrictEdits, async (req, res, next) => {
+    try {
+      const { column } = req.params;
+      const { name, index, version } = req.body;
+      
+      if (name === undefined && index === undefined) {
+        return next(new AppError('Provide a new name or index for the column', 400));
+      }
+      
+      const position = parseColumnIndex(index);
+      
+      const changes = [];
+      if (name !== undefined && String(name).trim() !== column) changes.push(`renamed to "${String(name).trim()}"`);
+      if (position !== undefined) changes.push(`moved to position ${position + 1}`);
+      
+      const savedReport = await saveColumnChange(req, version, report => {
+        if (name !== undefined) {
+          report.renameColumn(column, name);
+        }
+        if (position !== undefined) {
+          report.moveColumn(name !== undefined ? String(name).trim() : column, position);
+        }
+      }, {
+        action: 'column-update',
+        note: `Column "${column}" ${changes.join(' and ') || 'unchanged'}`
+      });
+      
+      console.log(`[${type.logTag}] Column "${column}" updated in report ${req.params.id} by user ${req.user._id}`);
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          report: serializeReport(savedReport)
+        }
+      });
+    } catch (error) {
+      return handleColumnError(error, next, 'Failed to update column');
+    }
+  });
+
+  // Delete a column (?version=&confirm=true); a column holding values needs confirm
+  router.delete('/:id/columns/:column', restrictEdits, async (req, res, next) => {
+    try {
+      const { column } = req.params;
+      const version = req.query.version !== undefined ? req.query.version : req.body && req.body.version;
+      const confirm = req.query.confirm === 'true' || (req.body && req.body.confirm === true);
+      
+      const savedReport = await saveColumnChange(req, version, report => {
+        report.deleteColumn(column, { confirm });
+      }, {
+        action: 'column-delete',
+        note: `Column "${column}" deleted`
+      });
+      
+      console.log(`[${type.logTag}] Column "${column}" deleted from report ${req.params.id} by user ${req.user._id}`);
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          report: serializeReport(savedReport)
+        }
+      });
+    } catch (error) {
+      return handleColumnError(error, next, 'Failed to delete column');
+    }
+  });
+
+  // Get comment threads (?row=&column=); each thread lists its replies
+  router.get('/:id/comments', async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      const report = await findReport(id).select('columns rows');
+      if (!report) {
+        return next(new AppError('Report not found', 404));
+      }
+      
+      const threads = await CommentService.listThreads(report, {
+        rowIndex: req.query.row !== undefined ? parseInt(req.query.row) : undefined,
+        column: req.query.column
+      });
+      
+      res.status(200).json({
+        status: 'success',
+        results: threads.length,
+        data: {
+          threads
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error fetching comments:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      return next(new AppError('Failed to fetch comments', 500));
+    }
+  });
+
+  // Comment on a row or cell, or reply to a thread (body: row, column, parent, body, mentions)
+  router.post('/:id/comments', async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { row, column, parent, body, mentions } = req.body;
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      if (typeof body !== 'string' || body.trim().length === 0) {
+        return next(new AppError('Comment cannot be empty', 400));
+      }
+      
+      if (parent !== undefined && parent !== null && !String(parent).match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid parent comment ID format', 400));
+      }
+      
+      const report = await findReport(id).select('reportTitle columns rows');
+      if (!report) {
+        return next(new AppError('Report not found', 404));
+      }
+      
+      const comment = await CommentService.addComment(report, type.name, {
+        rowIndex: row,
+        column,
+        parentId: parent,
+        body: body.trim(),
+        mentions
+      }, req.user);
+      
+      await comment.populate([{ path: 'author', select: 'name email' }, { path: 'mentions', select: 'name email' }]);
+      
+      console.log(`[${type.logTag}] Comment ${comment._id} added to report ${id} by user ${req.user._id}`);
+      
+      res.status(201).json({
+        status: 'success',
+        data: {
+          comment: CommentService.serialize(comment)
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error adding comment:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => err.message);
+        return next(new AppError(`Validation failed: ${validationErrors.join(', ')}`, 400));
+      }
+      return next(new AppError('Failed to add comment', 500));
+    }
+  });
+
+  // Edit your own comment (body: body, mentions)
+  router.patch('/:id/comments/:commentId', async (req, res, next) => {
+    try {
+      const { id, commentId } = req.params;
+      const { body, mentions } = req.body;
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/) || !commentId.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid ID format', 400));
+      }
+      
+      if (typeof body !== 'string' || body.trim().length === 0) {
+        return next(new AppError('Comment cannot be empty', 400));
+      }
+      
+      const comment = await ReportComment.findOne({ _id: commentId, report: id, isDeleted: false });
+      if (!comment) {
+        return next(new AppError('Comment not found', 404));
+      }
+      
+      if (comment.author.toString() !== req.user._id.toString()) {
+        return next(new AppError('You can only edit your own comments', 403));
+      }
+      
+      const report = await findReport(id).select('reportTitle');
+      await CommentService.updateComment(comment, report, body.trim(), mentions, req.user);
+      await comment.populate([{ path: 'author', select: 'name email' }, { path: 'mentions', select: 'name email' }]);
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          comment: CommentService.serialize(comment)
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error editing comment:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => err.message);
+        return next(new AppError(`Validation failed: ${validationErrors.join(', ')}`, 400));
+      }
+      return next(new AppError('Failed to edit comment', 500));
+    }
+  });
+
+  // Delete a comment (author or admin); the thread keeps its place for the replies
+  router.delete('/:id/comments/:commentId', async (req, res, next) => {
+    try {
+      const { id, commentId } = req.params;
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/) || !commentId.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid ID format', 400));
+      }
+      
+      const comment = await ReportComment.findOne({ _id: commentId, report: id, isDeleted: false });
+      if (!comment) {
+        return next(new AppError('Comment not found', 404));
+      }
+      
+      if (req.user.role !== 'admin' && comment.author.toString() !== req.user._id.toString()) {
+        return next(new AppError('You do not have permission to delete this comment', 403));
+      }
+      
+      comment.isDeleted = true;
+      await comment.save();
+      
+      console.log(`[${type.logTag}] Comment ${commentId} deleted by user ${req.user._id}`);
+      
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error deleting comment:`, error);
+      return next(new AppError('Failed to delete comment', 500));
+    }
+  });
+
+  // Move a report through the sign-off lifecycle; owners submit, admins approve and reopen
+  const changeReviewStatus = (action) => async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { version, reason } = req.body || {};
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      const report = await findReport(id);
+      if (!report) {
+        return next(new AppError('Report not found', 404));
+      }
+      
+      const allowed = action === 'submit' ? canManage(req.user, report) : req.user.role === 'admin';
+      if (!allowed) {
+        return next(new AppError(`You do not have permission to ${action} this report`, 403));
+      }
+      
+      if (action === 'reopen' && !String(reason || '').trim()) {
+        return next(new AppError('A reason is required to reopen a report', 400));
+      }
+      
+      // Submitted reports stay editable, so sign-off must name the version that was reviewed
+      if (action !== 'reopen' && (version === undefined || version === null || version === '')) {
+        return next(new AppError(`Version is required to ${action} a report`, 400));
+      }
+      
+      // Reopening may name the version it saw, but does not have to
+      if (action !== 'reopen' || (version !== undefined && version !== null && version !== '')) {
+        assertCurrentVersion(report, version);
+      }
+      
+      try {
+        report.changeReviewStatus(action, req.user._id, reason);
+      } catch (error) {
+        return next(new AppError(error.message, 409));
+      }
+      
+      const savedReport = await saveWithVersionCheck(report);
+      
+      console.log(`[${type.logTag}] Report ${id} ${savedReport.reviewStatus} by user ${req.user._id}`);
+      
+      res.status(200).json({
+        status: 'success',
+        data: serializeReport(savedReport)
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error changing review status:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      return next(new AppError(`Failed to ${action} report`, 500));
+    }
+  };
+
+  router.post('/:id/submit', restrictEdits, changeReviewStatus('submit'));
+  router.post('/:id/approve', changeReviewStatus('approve'));
+  router.post('/:id/reopen', changeReviewStatus('reopen'));
+
+  // Get a specific report in full
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      const report = await findReport(id)
+        .populate('createdBy', 'name email')
+        .populate('updatedBy', 'name email')
+        .populate('submittedBy', 'name email')
+        .populate('approvedBy', 'name email')
+        .populate('reopenedBy', 'name email')
+        .populate('reviewHistory.user', 'name email');
+      if (!report) {
+        return next(new AppError('Report not found', 404));
+      }
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          ...serializeReport(report),
+          statusCounts: report.statusCounts,
+          reviewHistory: report.reviewHistory,
+          createdBy: report.createdBy,
+          isActive: report.isActive
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error fetching report:`, error);
+      return next(new AppError(`Failed to fetch ${type.label}`, 500));
+    }
+  });
+
+  // Move a report to the trash
+  router.delete('/:id', restrictEdits, async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      const report = await findReport(id);
+      if (!report) {
+        return next(new AppError('Report not found', 404));
+      }
+      
+      // Check if user has permission to delete
+      if (!canManage(req.user, report)) {
+        return next(new AppError('You do not have permission to delete this report', 403));
+      }
+      
+      assertUnlocked(report);
+      
+      // Move it to the trash; it is purged after the retention period
+      await Model.updateOne(
+        { _id: id },
+        { $set: { isActive: false, deletedAt: new Date(), deletedBy: req.user._id } }
+      );
+      
+      console.log(`[${type.logTag}] Report ${id} moved to trash by user ${req.user._id}`);
+      
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error deleting report:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      return next(new AppError('Failed to delete report', 500));
+    }
+  });
+
+  // Update specific report
+  router.put('/:id', restrictEdits, async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { columns, rows, reportTitle, reportDates, columnDefinitions, columnRenames, version } = req.body;
+      
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return next(new AppError('Invalid report ID format', 400));
+      }
+      
+      const report = await findReport(id);
+      if (!report) {
+        return next(new AppError('Report not found', 404));
+      }
+      
+      // Check if user has permission to update
+      if (!canManage(req.user, report)) {
+        return next(new AppError('You do not have permission to update this report', 403));
+      }
+      
+      assertUnlocked(report);
+      assertCurrentVersion(report, version);
+      
+      // Validate input
+      if (columns && !Array.isArray(columns)) {
+        return next(new AppError('Columns must be a valid array', 400));
+      }
+      
+      if (rows && !Array.isArray(rows)) {
+        return next(new AppError('Rows must be a valid array', 400));
+      }
+      
+      if (columnDefinitions && !Array.isArray(columnDefinitions)) {
+        return next(new AppError('Column definitions must be a valid array', 400));
+      }
+      
+      // Reports are tied to their week; dates cannot move them to another one
+      if (reportDates !== undefined && report.periodKey && getPeriodForDates(reportDates).key !== report.periodKey) {
+        return next(new AppError(`Report dates must fall within period ${report.periodKey}`, 400));
+      }
+      
+      // Update fields if provided
+      if (reportTitle !== undefined) report.reportTitle = reportTitle;
+      if (reportDates !== undefined) report.reportDates = reportDates;
+      type.headerFields.forEach(field => {
+        if (req.body[field.name] !== undefined) report[field.name] = req.body[field.name];
+      });
+      if (columns !== undefined || rows !== undefined || columnDefinitions !== undefined) {
+        applyGrid(report, {
+          columns: columns !== undefined ? columns : report.columns,
+          columnDefinitions,
+          rows: rows !== undefined ? rows : report.rows,
+          columnRenames
+        });
+      }
+      
+      report.updatedBy = req.user._id;
+      
+      const updatedReport = await saveWithVersionCheck(report);
+      
+      console.log(`[${type.logTag}] Report ${id} updated by user ${req.user._id}`);
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          report: updatedReport
+        }
+      });
+    } catch (error) {
+      console.error(`[${type.logTag}] Error updating report:`, error);
+      if (error.isOperational) {
+        return next(error);
+      }
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => err.message);
+        return next(new AppError(`Validation failed: ${validationErrors.join(', ')}`, 400));
+      }
+      return next(new AppError('Failed to update report', 500));
+    }
+  });
+  
+  return router;
+};
+
+module.exports = {
+  createReportRouter
+};
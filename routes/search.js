@@ -0,0 +1,45 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const SearchService = require('../services/searchService');
+const { AppError } = require('../utils/errorHandler');
+const { parseDateRange, parseReportTypes, parsePositiveInt } = require('../utils/queryParams');
+
+const router = express.Router();
+
+const MAX_QUERY_LENGTH = 200;
+
+// Protect all routes
+router.use(protect);
+
+// Search report history (?q=&type=&from=&to=&column=&author=&page=&limit=); matching rows come with highlight ranges
+router.get('/', async (req, res, next) => {
+  try {
+    const q = req.query.q ? String(req.query.q).trim() : '';
+    const { column, author } = req.query;
+    if (q.length > MAX_QUERY_LENGTH) {
+      return next(new AppError(`Search query cannot exceed ${MAX_QUERY_LENGTH} characters`, 400));
+    }
+    if (!q && !column && !author) {
+      return next(new AppError('Please provide a search query, column or author', 400));
+    }
+
+    const types = parseReportTypes(req.user, req.query.type);
+    const { from, to } = parseDateRange(req.query);
+    const page = parsePositiveInt(req.query.page, 'page', 1);
+    const limit = parsePositiveInt(req.query.limit, 'limit', 20, 100);
+
+    const search = await SearchService.search(types, { q, from, to, column, author, page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      results: search.results.length,
+      data: search
+    });
+  } catch (error) {
+    console.error('[SEARCH] Error searching reports:', error);
+    if (error.isOperational) return next(error);
+    next(new AppError('Failed to search reports', 500));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect, restrictTo, restrictToCloud } = require('../middleware/auth');
+const Server = require('../models/Server');
+const ServerInventoryService = require('../services/serverInventoryService');
+const { AppError } = require('../utils/errorHandler');
+const { isStorageSize } = require('../utils/storageSize');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+router.use(restrictToCloud);
+
+const SERVER_FIELDS = ['hostname', 'ipAddress', 'provider', 'environment', 'owner', 'tags', 'storageCapacity'];
+
+const serverValidation = (optional) => [
+  (optional ? body('hostname').optional() : body('hostname'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 253 })
+    .withMessage('Hostname must be between 1 and 253 characters'),
+  body('ipAddress').optional({ checkFalsy: true }).isIP().withMessage('Please provide a valid IP address'),
+  body('provider').optional().isString().trim().isLength({ max: 100 }).withMessage('Provider cannot exceed 100 characters'),
+  body('environment')
+    .optional()
+    .isIn(['production', 'staging', 'development', 'testing', 'other'])
+    .withMessage('Environment must be production, staging, development, testing or other'),
+  body('owner').optional({ nullable: true }).isMongoId().withMessage('Owner must be a valid user ID'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('storageCapacity')
+    .optional({ checkFalsy: true })
+    .custom(isStorageSize)
+    .withMessage('Storage capacity must be a size such as 500 GB or 2 TB')
+];
+
+// Get servers (?search=&environment=&provider=&tag=&owner=)
+router.get('/', async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { search, environment, provider, tag, owner } = req.query;
+
+    const filter = { isActive: true };
+    if (environment) filter.environment = environment;
+    if (provider) filter.provider = provider;
+    if (tag) filter.tags = String(tag).toLowerCase();
+    if (owner) filter.owner = owner;
+    if (search) {
+      const pattern = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { hostname: { $regex: pattern, $options: 'i' } },
+        { ipAddress: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const servers = await Server.find(filter)
+      .sort({ hostname: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('owner', 'name email');
+
+    const total = await Server.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      results: servers.length,
+      data: {
+        servers,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create inventory entries for servers found in the latest reports
+router.post('/import-from-reports', restrictTo('admin'), async (req, res, next) => {
+  try {
+    const servers = await ServerInventoryService.importFromReports(req.user._id);
+
+    res.status(201).json({
+      status: 'success',
+      message: `${servers.length} server(s) added to the inventory`,
+      results: servers.length,
+      data: {
+        servers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get server
+router.get('/:id', async (req, res, next) => {
+  try {
+    const server = await Server.findById(req.params.id).populate('owner', 'name email');
+
+    if (!server) {
+      return next(new AppError('Server not found', 404));
+    }
+
+    const usage = await ServerInventoryService.countReportsUsing(server._id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        server,
+        usage
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create server
+router.post('/', serverValidation(false), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError(errors.array()[0].msg, 400));
+    }
+
+    const fields = {};
+    SERVER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const server = await Server.create({
+      ...fields,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        server
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update server; a new hostname is carried into every report that uses it
+router.patch('/:id', serverValidation(true), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError(errors.array()[0].msg, 400));
+    }
+
+    const server = await Server.findById(req.params.id);
+    if (!server) {
+      return next(new AppError('Server not found', 404));
+    }
+
+    const previousHostname = server.hostname;
+
+    SERVER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) server[field] = req.body[field];
+    });
+    server.updatedBy = req.user._id;
+
+    await server.save();
+
+    let updatedReports = 0;
+    if (server.hostname !== previousHostname) {
+      updatedReports = await ServerInventoryService.propagateRename(server, previousHostname, req.user._id);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        server,
+        updatedReports
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete server
+router.delete('/:id', restrictTo('admin'), async (req, res, next) => {
+  try {
+    const server = await Server.findById(req.params.id);
+
+    if (!server) {
+      return next(new AppError('Server not found', 404));
+    }
+
+    // Remove it first so saving the reports cannot link the rows back to it
+    await Server.findByIdAndDelete(server._id);
+    await ServerInventoryService.unlinkServer(server, req.user._id);
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,9 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 require('dotenv').config();
+const Scheduler = require('./services/scheduler');
+const { registerJobs } = require('./services/jobs');
+const { runMigrations } = require('./services/migrations');
 
 const app = express();
 
@@ -36,6 +39,13 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     console.log('Connected to MongoDB successfully');
+    
+    // Bring older documents up to date; failures are logged, not fatal
+    await runMigrations();
+    
+    // Start background jobs once the database is available
+    registerJobs();
+    Scheduler.start();
   } catch (error) {
     console.error('MongoDB connection error:', error);
     process.exit(1);
@@ -47,16 +57,26 @@ connectDB();
 // Import routes
 const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
-const cloudReportRoutes = require('./routes/cloud-report');
-const backupServerRoutes = require('./routes/backup-server');
+const { createReportRouter } = require('./routes/reportRouter');
+const { getReportTypes } = require('./models/reportTypes');
 const pushNotificationRoutes = require('./routes/pushNotifications');
+const serverRoutes = require('./routes/servers');
+const analyticsRoutes = require('./routes/analytics');
+const searchRoutes = require('./routes/search');
+const cronRoutes = require('./routes/cron');
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
-app.use('/api/cloud-report', cloudReportRoutes);
-app.use('/api/backup-server', backupServerRoutes);
+// Every registered report type gets its routes under /api/<slug>
+getReportTypes().forEach(type => {
+  app.use(`/api/${type.slug}`, createReportRouter(type));
+});
 app.use('/api/push-notifications', pushNotificationRoutes);
+app.use('/api/servers', serverRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/cron', cronRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
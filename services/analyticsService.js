@@ -0,0 +1,118 @@
+const CloudReport = require('../models/CloudReport');
+const Server = require('../models/Server');
+const { collectDailyStatuses, buildUptimeAnalytics, summarizeServers } = require('../utils/serverAnalytics');
+const { forecastCapacity, collectStorageValues, buildServerSeries } = require('../utils/storageForecast');
+const { normalizeServerName } = require('../utils/serverRefs');
+const { parseStorageSize } = require('../utils/storageSize');
+const { formatDate } = require('../utils/csvExport');
+
+// Capacity for servers without their own, from STORAGE_DEFAULT_CAPACITY (e.g. "1 TB")
+const getDefaultCapacity = () => {
+  const size = parseStorageSize(process.env.STORAGE_DEFAULT_CAPACITY);
+  return size ? size.bytes : null;
+};
+
+const matchesServer = (result, server) => {
+  if (!server) return true;
+  return result.serverId === String(server) || normalizeServerName(result.server) === normalizeServerName(server);
+};
+
+// Soonest to fill first; servers without a projection last
+const byUrgency = (a, b) => {
+  const left = a.forecast.daysUntilFull === null ? Infinity : a.forecast.daysUntilFull;
+  const right = b.forecast.daysUntilFull === null ? Infinity : b.forecast.daysUntilFull;
+  return left - right || a.server.localeCompare(b.server);
+};
+
+class AnalyticsService {
+  // Active reports of a type whose week overlaps the range
+  static async findReportsInRange(type, from, to) {
+    return type.Model.find({
+      isActive: true,
+      'reportDates.startDate': { $lte: to },
+      'reportDates.endDate': { $gte: from }
+    })
+      .select('columns rows reportDates createdAt')
+      .sort({ 'reportDates.startDate': 1 })
+      .lean();
+  }
+
+  // Uptime of every server across the given report types between two dates
+  static async getUptime(types, { from, to, server } = {}) {
+    const entries = [];
+
+    for (const type of types) {
+      const reports = await this.findReportsInRange(type, from, to);
+      reports.forEach(report => {
+        entries.push(...collectDailyStatuses(report, type.name));
+      });
+    }
+
+    // Filter by inventory id or by hostname
+    const servers = buildUptimeAnalytics(entries, { from: formatDate(from), to: formatDate(to) })
+      .filter(result => matchesServer(result, server));
+
+    return {
+      from: formatDate(from),
+      to: formatDate(to),
+      reportTypes: types.map(type => type.name),
+      summary: summarizeServers(servers),
+      servers
+    };
+  }
+
+  /**
+   * Space used per server and in total across weekly cloud reports, with a linear
+   * forecast of when each crosses its capacity: the server's storageCapacity, else
+   * the capacity given (bytes), else STORAGE_DEFAULT_CAPACITY
+   */
+  static async getStorageTrends({ from, to, server, capacity = null, totalCapacity = null, now = new Date() } = {}) {
+    const reports = await CloudReport.find({
+      isActive: true,
+      'reportDates.startDate': { $lte: to },
+      'reportDates.endDate': { $gte: from }
+    }).sort({ 'reportDates.startDate': 1 });
+
+    const values = [];
+    const totals = reports.map(report => {
+      values.push(...collectStorageValues(report, report.getStorageColumn()));
+
+      // Hand-entered totals count when no row sizes could be parsed
+      const entered = parseStorageSize(report.totalSpaceUsed);
+      const bytes = report.spaceUsage?.totalBytes || (entered ? entered.bytes : null);
+      return {
+        periodKey: report.periodKey,
+        date: formatDate(report.reportDates.startDate),
+        totalSpaceUsed: report.totalSpaceUsed,
+        bytes
+      };
+    });
+
+    const series = buildServerSeries(values).filter(result => matchesServer(result, server));
+    const ids = series.map(result => result.serverId).filter(Boolean);
+    const inventory = ids.length > 0 ? await Server.find({ _id: { $in: ids } }).select('storageCapacity') : [];
+    const capacities = new Map(inventory.map(entry => [String(entry._id), parseStorageSize(entry.storageCapacity)]));
+    const defaultCapacity = capacity || getDefaultCapacity();
+
+    const servers = series.map(result => {
+      const own = result.serverId ? capacities.get(result.serverId) : null;
+      return {
+        ...result,
+        capacitySource: own ? 'server' : (defaultCapacity ? 'default' : null),
+        forecast: forecastCapacity(result.series, own ? own.bytes : defaultCapacity, now)
+      };
+    });
+
+    return {
+      from: formatDate(from),
+      to: formatDate(to),
+      total: {
+        series: totals,
+        forecast: forecastCapacity(totals, totalCapacity, now)
+      },
+      servers: servers.sort(byUrgency)
+    };
+  }
+}
+
+module.exports = AnalyticsService;
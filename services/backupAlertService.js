@@ -0,0 +1,130 @@
+const BackupAlert = require('../models/BackupAlert');
+const Server = require('../models/Server');
+const User = require('../models/User');
+const PushService = require('./pushService');
+const { collectDailyStatuses, buildUptimeAnalytics, findTrailingFailureStreak } = require('../utils/serverAnalytics');
+const { getRowKey } = require('../utils/serverRefs');
+const { getIsoWeek } = require('../utils/reportPeriod');
+const { formatDate } = require('../utils/csvExport');
+
+const DEFAULT_THRESHOLD = 3;
+
+// Consecutive failed days that trigger an alert, from BACKUP_FAILURE_STREAK_THRESHOLD
+const getThreshold = () => {
+  const threshold = parseInt(process.env.BACKUP_FAILURE_STREAK_THRESHOLD, 10);
+  return Number.isInteger(threshold) && threshold > 0 ? threshold : DEFAULT_THRESHOLD;
+};
+
+class BackupAlertService {
+  // Ongoing failure streaks of the servers in a report, continued from earlier weeks
+  static async findFailureStreaks(report) {
+    const Model = report.constructor;
+    const reportType = Model.modelName;
+    const weekStart = getIsoWeek(report.reportDates.startDate).startDate;
+
+    // Enough earlier weeks to hold a streak of threshold days
+    const previous = await Model.find({
+      isActive: true,
+      _id: { $ne: report._id },
+      'reportDates.startDate': { $lt: weekStart }
+    })
+      .sort({ 'reportDates.startDate': -1 })
+      .limit(Math.ceil(getThreshold() / 7) + 1)
+      .lean();
+
+    const entries = [report, ...previous].flatMap(source => collectDailyStatuses(source, reportType));
+    const keys = new Set(report.rows.map(row => getRowKey(row, report.columns)).filter(Boolean));
+    const thisWeek = formatDate(weekStart);
+
+    return buildUptimeAnalytics(entries).reduce((streaks, server) => {
+      const streak = findTrailingFailureStreak(server.timeline);
+      // Only streaks still running in this report's week
+      if (keys.has(server.key) && streak && streak.endDate >= thisWeek) {
+        streaks.push({ key: server.key, server: server.server, serverId: server.serverId, ...streak });
+      }
+      return streaks;
+    }, []);
+  }
+
+  // The server's owner and every admin
+  static async getRecipients(serverId) {
+    const [server, admins] = await Promise.all([
+      serverId ? Server.findById(serverId).select('owner') : null,
+      User.find({ role: 'admin', isActive: true }).select('_id')
+    ]);
+
+    const ids = admins.map(admin => String(admin._id));
+    if (server && server.owner) ids.push(String(server.owner));
+    return [...new Set(ids)];
+  }
+
+  // Alert once per streak that has reached the threshold; run after a backup report is saved
+  static async checkFailureStreaks(report) {
+    // Editing an old week does not alert; only the latest report can hold an ongoing streak
+    const newer = await report.constructor.exists({
+      isActive: true,
+      'reportDates.startDate': { $gt: report.reportDates.startDate }
+    });
+    if (newer) {
+      return [];
+    }
+
+    const threshold = getThreshold();
+    const streaks = (await this.findFailureStreaks(report)).filter(streak => streak.days >= threshold);
+    const alerts = [];
+
+    for (const streak of streaks) {
+      let alert;
+      try {
+        // Claim the alert before sending so concurrent saves cannot both send it
+        alert = await BackupAlert.create({
+          serverKey: streak.key,
+          server: streak.server,
+          streakStart: streak.startDate,
+          days: streak.days,
+          report: report._id
+        });
+      } catch (error) {
+        if (error.code === 11000) continue;
+        throw error;
+      }
+
+      const recipients = await this.getRecipients(streak.serverId);
+      let delivered = 0;
+
+      for (const userId of recipients) {
+        try {
+          const result = await PushService.sendToUser(userId, {
+            title: 'Backup failing repeatedly',
+            body: `${streak.server}: backup failed ${streak.days} days in a row since ${streak.startDate}`,
+            data: {
+              type: 'backup-failure-streak',
+              server: streak.server,
+              serverId: streak.serverId,
+              days: streak.days,
+              startDate: streak.startDate,
+              endDate: streak.endDate,
+              reportId: report._id
+            }
+          });
+          delivered += result.sent || 0;
+        } catch (error) {
+          console.error(`[BackupAlerts] Failed to alert user ${userId} about ${streak.server}:`, error);
+        }
+      }
+
+      alert.recipients = recipients;
+      alert.delivered = delivered;
+      await alert.save();
+      alerts.push(alert);
+    }
+
+    if (alerts.length > 0) {
+      console.log(`[BackupAlerts] Sent ${alerts.length} failure streak alert(s) for report ${report._id}`);
+    }
+
+    return alerts;
+  }
+}
+
+module.exports = BackupAlertService;
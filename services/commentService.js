@@ -0,0 +1,178 @@
+const ReportComment = require('../models/ReportComment');
+const User = require('../models/User');
+const PushService = require('./pushService');
+const { AppError } = require('../utils/errorHandler');
+const { normalizeServerName, getServerColumn, getRowKey } = require('../utils/serverRefs');
+
+// "@jane@example.com" mentions the user with that email
+const MENTION_PATTERN = /(^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+class CommentService {
+  static extractMentionEmails(body) {
+    const emails = new Set();
+    for (const match of String(body || '').matchAll(MENTION_PATTERN)) {
+      emails.add(match[2].toLowerCase());
+    }
+    return [...emails];
+  }
+
+  // Users named in the body or picked by id who can see reports, minus the author
+  static async resolveMentions(body, userIds = [], authorId) {
+    const emails = this.extractMentionEmails(body);
+    const ids = (Array.isArray(userIds) ? userIds : []).map(String).filter(id => OBJECT_ID_PATTERN.test(id));
+    if (emails.length === 0 && ids.length === 0) return [];
+
+    const users = await User.find({
+      $and: [
+        { $or: [{ email: { $in: emails } }, { _id: { $in: ids } }] },
+        { $or: [{ role: 'admin' }, { cloudUser: true }] }
+      ],
+      isActive: true
+    }).select('_id name email');
+
+    return users.filter(user => String(user._id) !== String(authorId));
+  }
+
+  // Keys a row's threads can be stored under; threads started before the row
+  // was linked to the inventory are keyed by its server name
+  static rowKeys(row, columns) {
+    const serverColumn = getServerColumn(columns);
+    const name = serverColumn && row ? normalizeServerName(row[serverColumn]) : '';
+    return [getRowKey(row, columns), name ? `name:${name}` : null].filter(Boolean);
+  }
+
+  // Index of the row a thread belongs to in the current grid, or -1 once it is gone
+  static findRowIndex(report, rowKey) {
+    return (report.rows || []).findIndex(row => this.rowKeys(row, report.columns).includes(rowKey));
+  }
+
+  // Threads of a report, optionally for one row and cell, oldest first
+  static async listThreads(report, { rowIndex, column } = {}) {
+    const filter = { report: report._id, parent: null };
+
+    if (rowIndex !== undefined) {
+      const row = (report.rows || [])[rowIndex];
+      if (!row) throw new AppError(`Row ${rowIndex} does not exist`, 400);
+      filter.rowKey = { $in: this.rowKeys(row, report.columns) };
+    }
+    if (column !== undefined) {
+      filter.column = column || null;
+    }
+
+    const threads = await ReportComment.find(filter)
+      .sort({ createdAt: 1 })
+      .populate('author', 'name email')
+      .populate('mentions', 'name email');
+
+    const replies = await ReportComment.find({ parent: { $in: threads.map(thread => thread._id) } })
+      .sort({ createdAt: 1 })
+      .populate('author', 'name email')
+      .populate('mentions', 'name email');
+
+    return threads.map(thread => ({
+      ...this.serialize(thread),
+      rowIndex: this.findRowIndex(report, thread.rowKey),
+      replies: replies
+        .filter(reply => String(reply.parent) === String(thread._id))
+        .map(reply => this.serialize(reply))
+    }));
+  }
+
+  static serialize(comment) {
+    return {
+      id: comment._id,
+      rowKey: comment.rowKey,
+      rowLabel: comment.rowLabel,
+      column: comment.column,
+      parent: comment.parent,
+      body: comment.isDeleted ? '' : comment.body,
+      author: comment.author,
+      mentions: comment.isDeleted ? [] : comment.mentions,
+      isDeleted: comment.isDeleted,
+      editedAt: comment.editedAt,
+      createdAt: comment.createdAt
+    };
+  }
+
+  /**
+   * Start a thread on a row (and cell) or reply to one, then notify anyone mentioned.
+   * Replies always hang off the top-level comment and inherit its row and cell.
+   */
+  static async addComment(report, reportType, { rowIndex, column, parentId, body, mentions }, author) {
+    let anchor;
+
+    if (parentId) {
+      const parent = await ReportComment.findOne({ _id: parentId, report: report._id });
+      if (!parent) throw new AppError('Comment to reply to not found', 404);
+      const root = parent.parent ? await ReportComment.findById(parent.parent) : parent;
+      anchor = { rowKey: root.rowKey, rowLabel: root.rowLabel, column: root.column, parent: root._id };
+    } else {
+      const row = Number.isInteger(rowIndex) ? (report.rows || [])[rowIndex] : null;
+      if (!row) throw new AppError('Row must be the index of an existing row', 400);
+      if (column && !report.columns.includes(column)) throw new AppError(`Column "${column}" does not exist`, 400);
+
+      const rowKey = getRowKey(row, report.columns);
+      if (!rowKey) throw new AppError('Rows without a server name cannot be commented on', 400);
+
+      const serverColumn = getServerColumn(report.columns);
+      anchor = { rowKey, rowLabel: String(row[serverColumn] || ''), column: column || null, parent: null };
+    }
+
+    const mentioned = await this.resolveMentions(body, mentions, author._id);
+
+    const comment = await ReportComment.create({
+      reportType,
+      report: report._id,
+      ...anchor,
+      body,
+      author: author._id,
+      mentions: mentioned.map(user => user._id)
+    });
+
+    await this.notifyMentions(comment, mentioned, report, author);
+
+    return comment;
+  }
+
+  // Edit a comment body; newly mentioned users are notified
+  static async updateComment(comment, report, body, mentions, author) {
+    const previous = new Set(comment.mentions.map(String));
+    const mentioned = await this.resolveMentions(body, mentions, author._id);
+
+    comment.body = body;
+    comment.mentions = mentioned.map(user => user._id);
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await this.notifyMentions(comment, mentioned.filter(user => !previous.has(String(user._id))), report, author);
+
+    return comment;
+  }
+
+  static async notifyMentions(comment, users, report, author) {
+    const where = comment.column ? `${comment.rowLabel} / ${comment.column}` : comment.rowLabel;
+    const snippet = comment.body.length > 120 ? `${comment.body.slice(0, 117)}...` : comment.body;
+
+    for (const user of users) {
+      try {
+        await PushService.sendToUser(user._id, {
+          title: `${author.name} mentioned you`,
+          body: `${where} in ${report.reportTitle}: ${snippet}`,
+          data: {
+            type: 'comment-mention',
+            reportType: comment.reportType,
+            reportId: report._id,
+            commentId: comment.parent || comment._id,
+            rowKey: comment.rowKey,
+            column: comment.column
+          }
+        });
+      } catch (error) {
+        console.error(`[Comments] Failed to notify user ${user._id} of a mention:`, error);
+      }
+    }
+  }
+}
+
+module.exports = CommentService;
@@ -0,0 +1,42 @@
+const Scheduler = require('./scheduler');
+const SslExpiryService = require('./sslExpiryService');
+const RolloverService = require('./rolloverService');
+const TrashService = require('./trashService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursFromEnv = (name, fallback) => {
+  const hours = parseFloat(process.env[name]);
+  return Number.isFinite(hours) ? hours : fallback;
+};
+
+// Register a job once, so registerJobs can run again safely
+const registerJob = (name, intervalMs, task) => {
+  if (!Scheduler.has(name)) {
+    Scheduler.register(name, intervalMs, task);
+  }
+};
+
+// Register all background jobs with the scheduler
+const registerJobs = () => {
+  registerJob(
+    'ssl-expiry',
+    hoursFromEnv('SSL_EXPIRY_CHECK_INTERVAL_HOURS', 6) * HOUR_MS,
+    () => SslExpiryService.checkExpiringCertificates()
+  );
+  // Checked hourly so the new week opens soon after Monday starts
+  registerJob(
+    'weekly-rollover',
+    hoursFromEnv('ROLLOVER_CHECK_INTERVAL_HOURS', 1) * HOUR_MS,
+    () => RolloverService.rolloverReports()
+  );
+  registerJob(
+    'trash-purge',
+    hoursFromEnv('TRASH_PURGE_INTERVAL_HOURS', 24) * HOUR_MS,
+    () => TrashService.purgeExpired()
+  );
+};
+
+module.exports = {
+  registerJobs
+};
@@ -0,0 +1,17 @@
+const { getReportTypes } = require('../models/reportTypes');
+
+// One-off data fixes, run after the database connects while requests are already being served.
+// Each is safe to repeat, so a failure is logged and retried on the next start rather than fatal.
+const runMigrations = async () => {
+  for (const type of getReportTypes()) {
+    try {
+      await type.Model.backfillPeriodKeys();
+    } catch (error) {
+      console.error(`[Migrations] Failed to backfill report periods of ${type.name}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  runMigrations
+};
@@ -1,5 +1,6 @@
 const webpush = require('web-push');
 const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
 
 // Configure VAPID keys
 webpush.setVapidDetails(
@@ -145,6 +146,35 @@ class PushService {
     }
   }
   
+  // Send notification to admins and approved cloud users
+  static async sendToCloudTeam(message) {
+    try {
+      const users = await User.find({
+        isActive: true,
+        $or: [{ role: 'admin' }, { cloudUser: true }]
+      }).select('_id');
+      
+      let sent = 0;
+      let total = 0;
+      
+      for (const user of users) {
+        const result = await this.sendToUser(user._id, message);
+        sent += result.sent || 0;
+        total += result.total || 0;
+      }
+      
+      return {
+        success: sent > 0,
+        sent,
+        total,
+        users: users.length
+      };
+    } catch (error) {
+      console.error('Send team notification error:', error);
+      throw new Error('Failed to send team notification');
+    }
+  }
+  
   // Check if user is subscribed
   static async isUserSubscribed(userId) {
     try {
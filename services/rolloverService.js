@@ -0,0 +1,91 @@
+const PushService = require('./pushService');
+const ReportTemplate = require('../models/ReportTemplate');
+const { getReportTypes } = require('../models/reportTypes');
+const { getIsoWeek } = require('../utils/reportPeriod');
+
+class RolloverService {
+  // A report opened for the week but never edited can still be replaced by the rollover: it is on
+  // its first version and holds no rows, or just the default rows of the template it was created from
+  static async isUntouched(report) {
+    if (report.version !== 1) return false;
+    const rows = report.rows || [];
+    if (rows.length === 0) return true;
+
+    const template = report.template && await ReportTemplate.findById(report.template);
+    if (!template) return false;
+
+    const templateRows = template.toLayout().rows;
+    const cells = (row) => JSON.stringify(report.columns.map(column => String(row?.[column] ?? '').trim()));
+    return rows.length === templateRows.length && rows.every((row, index) => cells(row) === cells(templateRows[index]));
+  }
+
+  // Open one report type's week from its most recent earlier report
+  static async rolloverType(type, period) {
+    const Model = type.Model;
+
+    const current = await Model.findOne({ periodKey: period.key, isActive: true });
+    if (current && !(await this.isUntouched(current))) {
+      return null;
+    }
+
+    // A week whose report was moved to the trash stays closed until it is restored
+    if (!current && await Model.exists({ periodKey: period.key, deletedAt: { $ne: null } })) {
+      return null;
+    }
+
+    const previous = await Model.findOne({
+      isActive: true,
+      'reportDates.startDate': { $lt: period.startDate }
+    }).sort({ 'reportDates.startDate': -1 });
+    if (!previous) {
+      return null;
+    }
+
+    return Model.rollOver(previous, period, current);
+  }
+
+  // Create the current week's report of every type and tell the team it is open
+  static async rolloverReports(now = new Date()) {
+    const period = getIsoWeek(now);
+    const opened = [];
+
+    for (const type of getReportTypes()) {
+      try {
+        const report = await this.rolloverType(type, period);
+        if (report) {
+          opened.push({ type, report });
+        }
+      } catch (error) {
+        console.error(`[Rollover] Failed to roll ${type.name} over to ${period.key}:`, error);
+      }
+    }
+
+    if (opened.length === 0) {
+      return { periodKey: period.key, opened: [] };
+    }
+
+    const labels = opened.map(({ type }) => type.label).join(' and ');
+    try {
+      await PushService.sendToCloudTeam({
+        title: `Week ${period.week} is open`,
+        body: `The ${labels} report${opened.length === 1 ? ' is' : 's are'} ready for ${period.key}`,
+        data: {
+          type: 'report-rollover',
+          periodKey: period.key,
+          reports: opened.map(({ type, report }) => ({ reportType: type.name, reportId: report._id }))
+        }
+      });
+    } catch (error) {
+      console.error(`[Rollover] Failed to notify the team about ${period.key}:`, error);
+    }
+
+    console.log(`[Rollover] Opened ${period.key} for ${opened.map(({ type }) => type.name).join(', ')}`);
+
+    return {
+      periodKey: period.key,
+      opened: opened.map(({ type, report }) => ({ reportType: type.name, reportId: report._id, rows: report.rows.length }))
+    };
+  }
+}
+
+module.exports = RolloverService;
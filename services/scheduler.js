@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const jobs = new Map();
+let started = false;
+
+// Runs background jobs on a fixed interval inside the API process
+class Scheduler {
+  // Register a job; intervalMs <= 0 registers it for manual runs only
+  static register(name, intervalMs, task) {
+    if (jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+
+    jobs.set(name, {
+      name,
+      intervalMs,
+      task,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastResult: null,
+      lastError: null
+    });
+  }
+
+  // Run a job now unless it is already running
+  static async run(name) {
+    const job = jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.running) {
+      console.log(`[Scheduler] Job ${name} is still running, skipping`);
+      return { skipped: true };
+    }
+
+    // Jobs need the database; skip ticks while it is unavailable
+    if (mongoose.connection.readyState !== 1) {
+      console.log(`[Scheduler] Database not connected, skipping job ${name}`);
+      return { skipped: true };
+    }
+
+    job.running = true;
+    job.lastRunAt = new Date();
+
+    try {
+      console.log(`[Scheduler] Running job ${name}`);
+      job.lastResult = await job.task();
+      job.lastError = null;
+      return job.lastResult;
+    } catch (error) {
+      console.error(`[Scheduler] Job ${name} failed:`, error);
+      job.lastError = error.message;
+      throw error;
+    } finally {
+      job.running = false;
+    }
+  }
+
+  // Serverless functions are frozen between requests, so there the jobs run from vercel.json crons instead
+  static start() {
+    if (started || process.env.JOBS_ENABLED === 'false') return;
+    if (process.env.VERCEL) {
+      console.log('[Scheduler] Serverless deployment, jobs run from /api/cron/<job>');
+      return;
+    }
+    started = true;
+
+    for (const job of jobs.values()) {
+      if (!job.intervalMs || job.intervalMs <= 0) continue;
+
+      job.timer = setInterval(() => {
+        Scheduler.run(job.name).catch(() => {});
+      }, job.intervalMs);
+
+      // Do not keep the process alive just for background jobs
+      job.timer.unref();
+      console.log(`[Scheduler] Scheduled job ${job.name} every ${Math.round(job.intervalMs / 60000)} minutes`);
+    }
+  }
+
+  static stop() {
+    for (const job of jobs.values()) {
+      if (job.timer) clearInterval(job.timer);
+      job.timer = null;
+    }
+    started = false;
+  }
+
+  static list() {
+    return Array.from(jobs.values()).map(job => ({
+      name: job.name,
+      intervalMinutes: job.intervalMs > 0 ? Math.round(job.intervalMs / 60000) : null,
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastResult: job.lastResult,
+      lastError: job.lastError
+    }));
+  }
+
+  static has(name) {
+    return jobs.has(name);
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { escapeRegExp, parseSearchTerms, searchReport } = require('../utils/reportSearch');
+
+class SearchService {
+  // Users matching an author filter: a user id, else part of a name or email
+  static async findAuthorIds(author) {
+    if (mongoose.Types.ObjectId.isValid(author) && String(author).length === 24) {
+      return [new mongoose.Types.ObjectId(author)];
+    }
+
+    const pattern = escapeRegExp(String(author).trim());
+    const users = await User.find({
+      $or: [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ]
+    }).select('_id');
+    return users.map(user => user._id);
+  }
+
+  static buildFilter({ from, to, column, authorIds }) {
+    const filter = { isActive: true };
+    if (from) filter['reportDates.endDate'] = { $gte: from };
+    if (to) filter['reportDates.startDate'] = { $lte: to };
+    if (column) filter.columns = { $regex: `^\\s*${escapeRegExp(String(column).trim())}\\s*$`, $options: 'i' };
+    if (authorIds) {
+      filter.$or = [{ createdBy: { $in: authorIds } }, { updatedBy: { $in: authorIds } }];
+    }
+    return filter;
+  }
+
+  /**
+   * Search the history of the given report types. Reports are scanned one at a time
+   * so only the matches are kept in memory; results are newest first.
+   */
+  static async search(types, { q, from, to, column, author, page = 1, limit = 20 } = {}) {
+    const terms = parseSearchTerms(q);
+    const authorIds = author ? await this.findAuthorIds(author) : null;
+    const matches = [];
+
+    if (!authorIds || authorIds.length > 0) {
+      const filter = this.buildFilter({ from, to, column, authorIds });
+
+      for (const type of types) {
+        const cursor = type.Model.find(filter)
+          .select('reportTitle reportDates periodKey columns rows createdBy updatedBy updatedAt version')
+          .lean()
+          .cursor();
+
+        for await (const report of cursor) {
+          const match = searchReport(report, terms, { column });
+          if (!match) continue;
+
+          matches.push({
+            reportType: type.name,
+            slug: type.slug,
+            id: report._id,
+            reportTitle: report.reportTitle,
+            periodKey: report.periodKey,
+            reportDates: report.reportDates,
+            createdBy: report.createdBy,
+            updatedBy: report.updatedBy,
+            updatedAt: report.updatedAt,
+            version: report.version,
+            rowCount: (report.rows || []).length,
+            matchCount: match.rows.length,
+            titleMatches: match.titleMatches,
+            rows: match.rows
+          });
+        }
+      }
+    }
+
+    matches.sort((a, b) => new Date(b.reportDates?.startDate || 0) - new Date(a.reportDates?.startDate || 0));
+    const results = matches.slice((page - 1) * limit, page * limit);
+
+    // Show who wrote each report on the returned page
+    const userIds = [...new Set(results.flatMap(result => [result.createdBy, result.updatedBy]).filter(Boolean).map(String))];
+    const users = new Map((await User.find({ _id: { $in: userIds } }).select('name email'))
+      .map(user => [String(user._id), { _id: user._id, name: user.name, email: user.email }]));
+    results.forEach(result => {
+      result.createdBy = users.get(String(result.createdBy)) || result.createdBy;
+      result.updatedBy = users.get(String(result.updatedBy)) || result.updatedBy;
+    });
+
+    return {
+      terms,
+      results,
+      pagination: {
+        page,
+        limit,
+        total: matches.length,
+        pages: Math.ceil(matches.length / limit)
+      }
+    };
+  }
+}
+
+module.exports = SearchService;
@@ -0,0 +1,134 @@
+const { getReportTypes } = require('../models/reportTypes');
+const Server = require('../models/Server');
+const { SERVER_REF_KEY, normalizeServerName, getServerColumn, getRowServerId } = require('../utils/serverRefs');
+
+const MAX_SAVE_ATTEMPTS = 3;
+
+const getReportModels = () => getReportTypes().map(type => type.Model);
+
+class ServerInventoryService {
+  // Count the reports of each type whose rows are linked to a server
+  static async countReportsUsing(serverId) {
+    const counts = await Promise.all(getReportModels().map(Model =>
+      Model.countDocuments({ [`rows.${SERVER_REF_KEY}`]: String(serverId) })
+    ));
+
+    return getReportModels().reduce((usage, Model, index) => {
+      usage[Model.modelName] = counts[index];
+      return usage;
+    }, {});
+  }
+
+  // Rewrite every linked row of every report, recording a revision for each
+  static async updateLinkedRows(serverId, userId, updateRow, revision) {
+    const id = String(serverId);
+    let updatedReports = 0;
+
+    for (const Model of getReportModels()) {
+      // Reports in the trash keep the rows they were deleted with
+      const reports = await Model.find({ [`rows.${SERVER_REF_KEY}`]: id, deletedAt: null }).select('_id');
+
+      for (const { _id } of reports) {
+        if (await this.updateReportRows(Model, _id, id, userId, updateRow, revision)) {
+          updatedReports++;
+        }
+      }
+    }
+
+    return updatedReports;
+  }
+
+  // Save one report's linked rows like a grid save does, only over the version it read; a report
+  // edited in the meantime is read again and retried
+  static async updateReportRows(Model, reportId, serverId, userId, updateRow, revision) {
+    for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+      const report = await Model.findOne({ _id: reportId, [`rows.${SERVER_REF_KEY}`]: serverId, deletedAt: null });
+
+      // Approved reports stay exactly as they were signed off
+      if (!report || report.isLocked()) return false;
+
+      const serverColumn = getServerColumn(report.columns);
+      report.rows = report.rows.map(row => (getRowServerId(row) === serverId ? updateRow({ ...row }, serverColumn) : row));
+      report.updatedBy = userId;
+      report.$locals.revision = revision;
+      report.$where = { version: report.version };
+
+      try {
+        await report.save();
+        return true;
+      } catch (error) {
+        if (error.name !== 'DocumentNotFoundError') throw error;
+        console.log(`[ServerInventory] Report ${reportId} changed while updating server ${serverId}, retrying (${attempt}/${MAX_SAVE_ATTEMPTS})`);
+      }
+    }
+
+    throw new Error(`Report ${reportId} kept changing while updating server ${serverId}`);
+  }
+
+  // Show a renamed server under its new hostname in every report that uses it
+  static async propagateRename(server, previousHostname, userId) {
+    const updatedReports = await this.updateLinkedRows(server._id, userId, (row, serverColumn) => {
+      row[serverColumn] = server.hostname;
+      return row;
+    }, {
+      action: 'server-rename',
+      note: `Server "${previousHostname}" renamed to "${server.hostname}"`
+    });
+
+    console.log(`[ServerInventory] Renamed ${previousHostname} to ${server.hostname} in ${updatedReports} report(s)`);
+    return updatedReports;
+  }
+
+  // Drop the link to a deleted server; rows keep the name they show
+  static async unlinkServer(server, userId) {
+    return this.updateLinkedRows(server._id, userId, (row) => {
+      delete row[SERVER_REF_KEY];
+      return row;
+    }, {
+      action: 'server-unlink',
+      note: `Server "${server.hostname}" removed from inventory`
+    });
+  }
+
+  // Create inventory entries for servers named in the latest reports but not yet known
+  static async importFromReports(userId) {
+    const reports = await Promise.all(getReportModels().map(Model =>
+      Model.findOne({ isActive: true }).sort({ 'reportDates.startDate': -1 })
+    ));
+
+    const names = new Map();
+    reports.filter(Boolean).forEach(report => {
+      const serverColumn = getServerColumn(report.columns);
+      report.rows.forEach(row => {
+        const hostname = row && row[serverColumn] ? String(row[serverColumn]).trim() : '';
+        const key = normalizeServerName(hostname);
+        if (key && !getRowServerId(row) && !names.has(key)) {
+          names.set(key, hostname);
+        }
+      });
+    });
+
+    const existing = await Server.find({ normalizedName: { $in: [...names.keys()] } }).select('normalizedName');
+    existing.forEach(server => names.delete(server.normalizedName));
+
+    const created = await Server.create([...names.values()].map(hostname => ({
+      hostname,
+      createdBy: userId,
+      updatedBy: userId
+    })));
+
+    // Saving links the rows to the new servers
+    for (const report of reports.filter(Boolean)) {
+      if (created.length === 0) break;
+      // Approved reports stay exactly as they were signed off
+      if (report.isLocked()) continue;
+      report.updatedBy = userId;
+      report.$locals.revision = { action: 'server-link', note: `Linked ${created.length} new inventory server(s)` };
+      await report.save();
+    }
+
+    return created;
+  }
+}
+
+module.exports = ServerInventoryService;
@@ -0,0 +1,133 @@
+const CloudReport = require('../models/CloudReport');
+const SslWarning = require('../models/SslWarning');
+const PushService = require('./pushService');
+const { parseDateValue } = require('../utils/dataValidator');
+const { getIsoWeek } = require('../utils/reportPeriod');
+const { formatDate } = require('../utils/csvExport');
+const { getServerColumn } = require('../utils/serverRefs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_THRESHOLDS = [30, 14, 7, 1];
+
+// Days before expiry to warn at, from SSL_EXPIRY_THRESHOLDS (e.g. "30,14,7,1")
+const getThresholds = () => {
+  const configured = (process.env.SSL_EXPIRY_THRESHOLDS || '')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => Number.isInteger(value) && value > 0);
+
+  return (configured.length > 0 ? configured : DEFAULT_THRESHOLDS).sort((a, b) => a - b);
+};
+
+// The most urgent threshold a certificate has reached; 0 once it has expired
+const thresholdFor = (daysLeft, thresholds) => {
+  if (daysLeft <= 0) return 0;
+  const reached = thresholds.find(threshold => daysLeft <= threshold);
+  return reached === undefined ? null : reached;
+};
+
+class SslExpiryService {
+  // Column holding SSL expiry dates: a date column mentioning SSL, else "SSL Expiry"
+  static findExpiryColumn(report) {
+    const definition = (report.columnDefinitions || [])
+      .find(def => def.type === 'date' && /ssl/i.test(def.name));
+    if (definition) return definition.name;
+    return (report.columns || []).find(column => column.trim().toLowerCase() === 'ssl expiry') || null;
+  }
+
+  // This week's report, or the most recent one before it exists
+  static async getCurrentReport(now = new Date()) {
+    const current = await CloudReport.findOne({ periodKey: getIsoWeek(now).key, isActive: true });
+    if (current) return current;
+    return CloudReport.findOne({ isActive: true }).sort({ 'reportDates.startDate': -1 });
+  }
+
+  static collectCertificates(report, now = new Date()) {
+    const column = this.findExpiryColumn(report);
+    if (!column) return [];
+
+    const serverColumn = getServerColumn(report.columns);
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+    return (report.rows || []).reduce((certificates, row) => {
+      const server = row && row[serverColumn] ? String(row[serverColumn]).trim() : '';
+      const expiryDate = row ? parseDateValue(row[column]) : null;
+      if (!server || !expiryDate) return certificates;
+
+      const expiryDay = Date.UTC(expiryDate.getUTCFullYear(), expiryDate.getUTCMonth(), expiryDate.getUTCDate());
+      certificates.push({
+        server,
+        expiryDate: new Date(expiryDay),
+        daysLeft: Math.round((expiryDay - today) / DAY_MS)
+      });
+      return certificates;
+    }, []);
+  }
+
+  // Warn the team about certificates reaching a threshold, once per certificate and threshold
+  static async checkExpiringCertificates(now = new Date()) {
+    const report = await this.getCurrentReport(now);
+    if (!report) {
+      return { checked: 0, warnings: [] };
+    }
+
+    const thresholds = getThresholds();
+    const certificates = this.collectCertificates(report, now);
+    const warnings = [];
+
+    for (const certificate of certificates) {
+      const threshold = thresholdFor(certificate.daysLeft, thresholds);
+      if (threshold === null) continue;
+
+      let warning;
+      try {
+        // Claim the warning before sending so concurrent runs cannot both send it
+        warning = await SslWarning.create({
+          server: certificate.server,
+          expiryDate: certificate.expiryDate,
+          threshold,
+          daysLeft: certificate.daysLeft,
+          report: report._id
+        });
+      } catch (error) {
+        if (error.code === 11000) continue;
+        throw error;
+      }
+
+      const expiry = formatDate(certificate.expiryDate);
+      const body = certificate.daysLeft <= 0
+        ? `${certificate.server}: SSL certificate expired on ${expiry}`
+        : `${certificate.server}: SSL certificate expires in ${certificate.daysLeft} day${certificate.daysLeft === 1 ? '' : 's'} (${expiry})`;
+
+      try {
+        const result = await PushService.sendToCloudTeam({
+          title: certificate.daysLeft <= 0 ? 'SSL certificate expired' : 'SSL certificate expiring soon',
+          body,
+          data: {
+            type: 'ssl-expiry',
+            server: certificate.server,
+            expiryDate: expiry,
+            daysLeft: certificate.daysLeft,
+            reportId: report._id
+          }
+        });
+        warning.delivered = result.sent;
+        await warning.save();
+      } catch (error) {
+        console.error(`[SslExpiry] Failed to send warning for ${certificate.server}:`, error);
+      }
+
+      warnings.push({ ...certificate, threshold, delivered: warning.delivered });
+    }
+
+    console.log(`[SslExpiry] Checked ${certificates.length} certificates in report ${report._id}, sent ${warnings.length} warnings`);
+
+    return {
+      reportId: report._id,
+      checked: certificates.length,
+      warnings
+    };
+  }
+}
+
+module.exports = SslExpiryService;
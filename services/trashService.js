@@ -0,0 +1,48 @@
+const ReportRevision = require('../models/ReportRevision');
+const ReportComment = require('../models/ReportComment');
+const { getReportTypes } = require('../models/reportTypes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+class TrashService {
+  // Days a deleted report stays in the trash, from TRASH_RETENTION_DAYS
+  static getRetentionDays() {
+    const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+    return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  static getPurgeDate(deletedAt) {
+    return deletedAt ? new Date(new Date(deletedAt).getTime() + this.getRetentionDays() * DAY_MS) : null;
+  }
+
+  // Remove a report for good, together with its revisions and comments
+  static async purgeReport(Model, id) {
+    await Model.deleteOne({ _id: id });
+    const [revisions, comments] = await Promise.all([
+      ReportRevision.deleteMany({ report: id }),
+      ReportComment.deleteMany({ report: id })
+    ]);
+
+    console.log(`[Trash] Purged ${Model.modelName} ${id} with ${revisions.deletedCount} revision(s) and ${comments.deletedCount} comment(s)`);
+  }
+
+  // Purge every report that has been in the trash longer than the retention period
+  static async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.getRetentionDays() * DAY_MS);
+    const purged = {};
+
+    for (const type of getReportTypes()) {
+      const reports = await type.Model.find({ isActive: false, deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+
+      for (const report of reports) {
+        await this.purgeReport(type.Model, report._id);
+      }
+      purged[type.name] = reports.length;
+    }
+
+    return { cutoff, purged };
+  }
+}
+
+module.exports = TrashService;
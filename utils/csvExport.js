@@ -0,0 +1,80 @@
+/**
+ * Utility functions for writing report grids as RFC 4180 CSV
+ */
+
+const CRLF = '\r\n';
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+};
+
+// Spreadsheet apps run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Safe despite the prefix: the "-" blank placeholder and plain numbers such as -5, +1 or -5%
+const PLAIN_VALUE = /^(-|[+-]?(\d+(\.\d+)?|\.\d+)%?)$/;
+
+const isFormulaLike = (text) => FORMULA_PREFIX.test(text) && !PLAIN_VALUE.test(text);
+
+// Defuse formula-like values with a leading apostrophe, then quote a field when it contains a comma, quote or line break
+const escapeCsvField = (value) => {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = isFormulaLike(raw) ? `'${raw}` : raw;
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Undo escapeCsvField's apostrophe, so an exported report imports back unchanged
+const unescapeCsvField = (text) => (text.startsWith("'") && isFormulaLike(text.slice(1)) ? text.slice(1) : text);
+
+const toCsvLine = (fields) => fields.map(escapeCsvField).join(',') + CRLF;
+
+// Title, date range and any extra summary lines that precede the grid
+const buildHeaderLines = (report, extraHeaders = []) => {
+  const lines = [
+    ['Report', report.reportTitle || ''],
+    ['Period', report.periodKey || ''],
+    ['Start Date', formatDate(report.reportDates && report.reportDates.startDate)],
+    ['End Date', formatDate(report.reportDates && report.reportDates.endDate)],
+    ...extraHeaders
+  ];
+  return lines.map(toCsvLine);
+};
+
+// Write a report to a writable stream, one line at a time
+const streamReportCsv = (stream, report, options = {}) => {
+  const columns = Array.isArray(report.columns) ? report.columns : [];
+  const rows = Array.isArray(report.rows) ? report.rows : [];
+
+  // Byte order mark so spreadsheet apps detect UTF-8
+  if (options.bom !== false) {
+    stream.write('\uFEFF');
+  }
+
+  buildHeaderLines(report, options.extraHeaders).forEach(line => stream.write(line));
+  stream.write(CRLF);
+  stream.write(toCsvLine(columns));
+
+  rows.forEach(row => {
+    stream.write(toCsvLine(columns.map(column => (row ? row[column] : ''))));
+  });
+
+  stream.end();
+};
+
+const buildExportFilename = (prefix, report, extension) => {
+  const suffix = report.periodKey || formatDate(report.reportDates && report.reportDates.startDate) || String(report.id || report._id);
+  return `${prefix}-${suffix}.${extension}`;
+};
+
+module.exports = {
+  escapeCsvField,
+  unescapeCsvField,
+  toCsvLine,
+  streamReportCsv,
+  buildExportFilename,
+  formatDate
+};
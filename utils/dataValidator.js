@@ -2,6 +2,10 @@
  * Utility functions for validating and sanitizing cloud dashboard data
  */
 
+const { classifyStatus } = require('./statusValues');
+const { isStorageSize } = require('./storageSize');
+const { getRowKey } = require('./serverRefs');
+
 const validateColumns = (columns) => {
   if (!Array.isArray(columns)) {
     throw new Error('Columns must be an array');
@@ -111,9 +115,199 @@ const ensureRowColumnsConsistency = (rows, columns) => {
   });
 };
 
+const COLUMN_TYPES = ['text', 'status', 'date', 'storage', 'percentage', 'url'];
+
+// Placeholders people type into optional cells
+const EMPTY_PLACEHOLDERS = ['-', 'n/a', 'na'];
+
+const isBlankCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return text === '' || EMPTY_PLACEHOLDERS.includes(text.toLowerCase());
+};
+
+// Parse ISO (2024-03-05), day-first (05/03/2024) or written (5 Mar 2024) dates
+const parseDateValue = (value) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (!text) return null;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+  if (match) {
+    return buildUtcDate(+match[1], +match[2], +match[3]);
+  }
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    return buildUtcDate(year, +match[2], +match[1]);
+  }
+
+  if (/[a-z]/i.test(text)) {
+    const parsed = Date.parse(`${text} UTC`);
+    if (!isNaN(parsed)) return new Date(parsed);
+  }
+
+  return null;
+};
+
+const buildUtcDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+const parsePercentage = (value) => {
+  const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)\s*%?$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return number >= 0 && number <= 100 ? number : null;
+};
+
+const isValidUrl = (value) => {
+  try {
+    const url = new URL(String(value).trim());
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Normalize column input into names plus definitions.
+ * Columns may be plain names or objects of { name, type, allowedValues, required };
+ * names without a definition keep their existing one or fall back to defaultDefinition(name).
+ */
+const normalizeColumnDefinitions = (columns, existingDefinitions = [], defaultDefinition = null) => {
+  const names = validateColumns(columns.map(col => (col && typeof col === 'object' ? col.name : col)));
+  const existing = new Map((existingDefinitions || []).map(def => [def.name, def]));
+
+  const definitions = columns.map((col, index) => {
+    const name = names[index].trim();
+    const source = col && typeof col === 'object'
+      ? col
+      : existing.get(name) || (defaultDefinition && defaultDefinition(name)) || {};
+
+    const type = source.type || 'text';
+    if (!COLUMN_TYPES.includes(type)) {
+      throw new Error(`Column "${name}" has unknown type "${type}". Use one of: ${COLUMN_TYPES.join(', ')}`);
+    }
+
+    if (source.allowedValues !== undefined && source.allowedValues !== null && !Array.isArray(source.allowedValues)) {
+      throw new Error(`Allowed values of column "${name}" must be an array`);
+    }
+
+    const allowedValues = (source.allowedValues || [])
+      .map(value => String(value).trim())
+      .filter(Boolean);
+
+    return {
+      name,
+      type,
+      allowedValues,
+      required: Boolean(source.required)
+    };
+  });
+
+  return {
+    columns: definitions.map(def => def.name),
+    columnDefinitions: definitions
+  };
+};
+
+// Returns an error message for a cell that does not fit its column definition, or null
+const validateCellValue = (value, definition) => {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+
+  if (isBlankCell(text)) {
+    return definition.required ? `${definition.name} is required` : null;
+  }
+
+  if (definition.allowedValues && definition.allowedValues.length > 0) {
+    const allowed = definition.allowedValues.some(option => option.toLowerCase() === text.toLowerCase());
+    return allowed ? null : `${definition.name} must be one of: ${definition.allowedValues.join(', ')}`;
+  }
+
+  switch (definition.type) {
+    case 'status':
+      return classifyStatus(text) === null ? `"${text}" is not a recognized status for ${definition.name}` : null;
+    case 'date':
+      return parseDateValue(text) ? null : `"${text}" is not a valid date for ${definition.name}`;
+    case 'storage':
+      return isStorageSize(text) ? null : `"${text}" is not a valid storage size for ${definition.name} (e.g. 120 GB)`;
+    case 'percentage':
+      return parsePercentage(text) === null ? `"${text}" is not a percentage between 0 and 100 for ${definition.name}` : null;
+    case 'url':
+      return isValidUrl(text) ? null : `"${text}" is not a valid URL for ${definition.name}`;
+    default:
+      return null;
+  }
+};
+
+// Field-level errors for every cell that does not match its column definition
+const validateRowsAgainstDefinitions = (rows, definitions) => {
+  const errors = [];
+
+  rows.forEach((row, rowIndex) => {
+    definitions.forEach(definition => {
+      const message = validateCellValue(row ? row[definition.name] : '', definition);
+      if (message) {
+        errors.push({
+          row: rowIndex + 1,
+          column: definition.name,
+          field: `rows[${rowIndex}].${definition.name}`,
+          message
+        });
+      }
+    });
+  });
+
+  return errors;
+};
+
+const sameCellRules = (a, b) => Boolean(a && b) &&
+  a.type === b.type &&
+  Boolean(a.required) === Boolean(b.required) &&
+  (a.allowedValues || []).join('\n') === (b.allowedValues || []).join('\n');
+
+// Errors for changed cells only: a cell that holds the same value as the same row's cell did before,
+// under the same column rules, is kept as is, so free text saved before the column was typed does not
+// block later saves. Rows are matched by getRowKey; rows without a unique key are always checked.
+const validateChangedCells = (rows, definitions, previous) => {
+  const columns = definitions.map(def => def.name);
+  const keyCounts = new Map();
+  const previousRows = new Map();
+  (previous.rows || []).forEach(row => {
+    const key = getRowKey(row, columns);
+    if (!key) return;
+    keyCounts.set(key, (keyCounts.get(key) || 0) + 1);
+    previousRows.set(key, row);
+  });
+
+  const cellText = (row, column) => String(row?.[column] ?? '').trim();
+
+  return validateRowsAgainstDefinitions(rows, definitions).filter(error => {
+    const row = rows[error.row - 1];
+    const key = getRowKey(row, columns);
+    if (!key || keyCounts.get(key) !== 1) return true;
+
+    const definition = definitions.find(def => def.name === error.column);
+    const before = (previous.columnDefinitions || []).find(def => def.name === error.column);
+    return !sameCellRules(before, definition) || cellText(previousRows.get(key), error.column) !== cellText(row, error.column);
+  });
+};
+
 module.exports = {
+  COLUMN_TYPES,
   validateColumns,
   validateRows,
   sanitizeReportData,
-  ensureRowColumnsConsistency
+  ensureRowColumnsConsistency,
+  parseDateValue,
+  parsePercentage,
+  normalizeColumnDefinitions,
+  validateCellValue,
+  validateRowsAgainstDefinitions,
+  validateChangedCells
 };
\ No newline at end of file
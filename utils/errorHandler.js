@@ -1,8 +1,9 @@
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, data) {
     super(message);
     
     this.statusCode = statusCode;
+    this.data = data;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
 
@@ -41,10 +42,17 @@ const sendError = (err, res) => {
 
   if (err.isOperational) {
     // Operational, trusted error: send message to client
-    res.status(err.statusCode).json({
+    const response = {
       status: err.status,
       message: err.message
-    });
+    };
+    
+    // Extra context for the client, e.g. the current copy on a conflict
+    if (err.data !== undefined) {
+      response.data = err.data;
+    }
+    
+    res.status(err.statusCode).json(response);
   } else {
     // Programming or other unknown error: don't leak error details
     console.error('ERROR:', err);
@@ -0,0 +1,271 @@
+/**
+ * Utility functions for applying cell-level operations to a report grid
+ */
+
+const OPERATIONS = ['setCell', 'insertRow', 'deleteRow', 'moveRow', 'addColumn', 'renameColumn', 'moveColumn', 'deleteColumn'];
+
+const toCellValue = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const assertRowIndex = (rows, index, label = 'row') => {
+  if (!Number.isInteger(index) || index < 0 || index >= rows.length) {
+    throw new Error(`${label} must be an index between 0 and ${rows.length - 1}`);
+  }
+};
+
+const assertColumnName = (name, label = 'Column name') => {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new Error(`${label} must be a non-empty string`);
+  }
+  return name.trim();
+};
+
+// Grid operations on plain copies; the caller saves the result
+class GridEditor {
+  constructor({ columns, columnDefinitions, rows }, options = {}) {
+    this.columns = [...columns];
+    this.definitions = new Map((columnDefinitions || []).map(def => [def.name, { ...def }]));
+    this.rows = rows.map(row => ({ ...row }));
+    this.defaultDefinition = options.defaultDefinition || (name => ({ name, type: 'text', allowedValues: [], required: false }));
+    this.renames = [];
+  }
+
+  assertColumn(name) {
+    const column = assertColumnName(name);
+    if (!this.columns.includes(column)) {
+      throw new Error(`Column "${column}" does not exist`);
+    }
+    return column;
+  }
+
+  setCell(rowIndex, column, value) {
+    assertRowIndex(this.rows, rowIndex);
+    const name = this.assertColumn(column);
+    this.rows[rowIndex][name] = toCellValue(value);
+  }
+
+  insertRow(index = this.rows.length, values = {}) {
+    if (!Number.isInteger(index) || index < 0 || index > this.rows.length) {
+      throw new Error(`index must be between 0 and ${this.rows.length}`);
+    }
+    if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error('row must be an object of column values');
+    }
+
+    const row = { ...values };
+    this.columns.forEach(column => {
+      row[column] = toCellValue(values[column]);
+    });
+    this.rows.splice(index, 0, row);
+  }
+
+  deleteRow(rowIndex) {
+    assertRowIndex(this.rows, rowIndex);
+    this.rows.splice(rowIndex, 1);
+  }
+
+  moveRow(from, to) {
+    assertRowIndex(this.rows, from, 'from');
+    assertRowIndex(this.rows, to, 'to');
+    const [row] = this.rows.splice(from, 1);
+    this.rows.splice(to, 0, row);
+  }
+
+  addColumn(name, index = this.columns.length, definition = {}) {
+    const column = assertColumnName(name);
+    if (this.columns.includes(column)) {
+      throw new Error(`Column "${column}" already exists`);
+    }
+    if (!Number.isInteger(index) || index < 0 || index > this.columns.length) {
+      throw new Error(`index must be between 0 and ${this.columns.length}`);
+    }
+
+    const { defaultValue, ...typeDefinition } = definition || {};
+    this.columns.splice(index, 0, column);
+    this.definitions.set(column, { ...this.defaultDefinition(column), ...typeDefinition, name: column });
+    this.rows.forEach(row => {
+      row[column] = toCellValue(defaultValue);
+    });
+  }
+
+  // Cell values move to the new name
+  renameColumn(from, to) {
+    const source = this.assertColumn(from);
+    const target = assertColumnName(to, 'New column name');
+    if (source === target) return;
+    if (this.columns.includes(target)) {
+      throw new Error(`Column "${target}" already exists`);
+    }
+
+    this.columns[this.columns.indexOf(source)] = target;
+    this.definitions.set(target, { ...(this.definitions.get(source) || this.defaultDefinition(target)), name: target });
+    this.definitions.delete(source);
+    this.rows.forEach(row => {
+      row[target] = row[source] === undefined ? '' : row[source];
+      delete row[source];
+    });
+    this.renames.push({ from: source, to: target });
+  }
+
+  moveColumn(name, index) {
+    const column = this.assertColumn(name);
+    if (!Number.isInteger(index) || index < 0 || index >= this.columns.length) {
+      throw new Error(`index must be between 0 and ${this.columns.length - 1}`);
+    }
+
+    this.columns.splice(this.columns.indexOf(column), 1);
+    this.columns.splice(index, 0, column);
+  }
+
+  // Number of rows with a value in the column
+  countValues(name) {
+    const column = this.assertColumn(name);
+    return this.rows.filter(row => toCellValue(row[column]) !== '').length;
+  }
+
+  // Deleting a column that still holds data needs confirm: true
+  deleteColumn(name, confirm = false) {
+    const column = this.assertColumn(name);
+    if (this.columns.length === 1) {
+      throw new Error('At least one column is required');
+    }
+
+    const filled = this.countValues(column);
+    if (filled > 0 && confirm !== true) {
+      const error = new Error(`Column "${column}" has values in ${filled} row(s); confirm the deletion to remove them`);
+      error.requiresConfirmation = true;
+      error.filledRows = filled;
+      throw error;
+    }
+
+    this.columns.splice(this.columns.indexOf(column), 1);
+    this.definitions.delete(column);
+    this.rows.forEach(row => {
+      delete row[column];
+    });
+  }
+
+  apply(operation) {
+    if (!operation || typeof operation !== 'object' || !OPERATIONS.includes(operation.op)) {
+      throw new Error(`op must be one of: ${OPERATIONS.join(', ')}`);
+    }
+
+    switch (operation.op) {
+      case 'setCell':
+        return this.setCell(operation.row, operation.column, operation.value);
+      case 'insertRow':
+        return this.insertRow(operation.index === undefined ? this.rows.length : operation.index, operation.row || {});
+      case 'deleteRow':
+        return this.deleteRow(operation.row);
+      case 'moveRow':
+        return this.moveRow(operation.from, operation.to);
+      case 'addColumn':
+        return this.addColumn(operation.name, operation.index === undefined ? this.columns.length : operation.index, operation.definition);
+      case 'renameColumn':
+        return this.renameColumn(operation.from, operation.to);
+      case 'moveColumn':
+        return this.moveColumn(operation.name, operation.index);
+      case 'deleteColumn':
+        return this.deleteColumn(operation.name, operation.confirm);
+      default:
+        return null;
+    }
+  }
+
+  result() {
+    return {
+      columns: this.columns,
+      columnDefinitions: this.columns.map(column => this.definitions.get(column) || this.defaultDefinition(column)),
+      rows: this.rows,
+      renames: this.renames
+    };
+  }
+}
+
+/**
+ * Renames for a whole-grid save: only the ones the client listed, checked against
+ * both column lists. Any other changed header is a deleted column plus a new one.
+ */
+const resolveColumnRenames = (previousColumns, nextColumns, columnRenames) => {
+  if (columnRenames === undefined || columnRenames === null) {
+    return [];
+  }
+  if (!Array.isArray(columnRenames)) {
+    throw new Error('Column renames must be a valid array');
+  }
+
+  return columnRenames.map((rename, index) => {
+    const from = rename && typeof rename.from === 'string' ? rename.from.trim() : '';
+    const to = rename && typeof rename.to === 'string' ? rename.to.trim() : '';
+    if (!from || !to) {
+      throw new Error(`Column rename ${index + 1} needs "from" and "to" column names`);
+    }
+    if (!previousColumns.includes(from) || nextColumns.includes(from)) {
+      throw new Error(`Column rename ${index + 1}: "${from}" must be a column the new columns no longer have`);
+    }
+    if (!nextColumns.includes(to) || previousColumns.includes(to)) {
+      throw new Error(`Column rename ${index + 1}: "${to}" must be a new column`);
+    }
+    return { from, to };
+  });
+};
+
+// Move row values from old column names to new ones
+const renameRowKeys = (rows, renames) => rows.map(row => {
+  if (!row || typeof row !== 'object') return row;
+  const renamed = { ...row };
+  renames.forEach(({ from, to }) => {
+    if (Object.prototype.hasOwnProperty.call(renamed, from) && !Object.prototype.hasOwnProperty.call(renamed, to)) {
+      renamed[to] = renamed[from];
+    }
+    delete renamed[from];
+  });
+  return renamed;
+});
+
+// Collapse a sequence of renames (A to B, then B to C) into net renames (A to C)
+const composeColumnRenames = (renames) => {
+  const chain = [];
+  renames.forEach(({ from, to }) => {
+    const link = chain.find(entry => entry.to === from);
+    if (link) {
+      link.to = to;
+    } else {
+      chain.push({ from, to });
+    }
+  });
+  return chain.filter(entry => entry.from !== entry.to);
+};
+
+/**
+ * Apply operations in order; the first failing operation aborts the whole batch.
+ * Errors carry operationIndex so callers can point at the bad operation.
+ */
+const applyGridOperations = (grid, operations, options = {}) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new Error('Operations must be a non-empty array');
+  }
+
+  const editor = new GridEditor(grid, options);
+
+  operations.forEach((operation, index) => {
+    try {
+      editor.apply(operation);
+    } catch (error) {
+      const opName = operation && operation.op ? operation.op : 'unknown';
+      error.message = `Operation ${index + 1} (${opName}): ${error.message}`;
+      error.operationIndex = index;
+      throw error;
+    }
+  });
+
+  return editor.result();
+};
+
+module.exports = {
+  OPERATIONS,
+  GridEditor,
+  applyGridOperations,
+  resolveColumnRenames,
+  renameRowKeys,
+  composeColumnRenames
+};
@@ -0,0 +1,164 @@
+/**
+ * Utility functions for rendering report grids as print-ready PDF
+ */
+
+const PDFDocument = require('pdfkit');
+const { formatDate } = require('./csvExport');
+const { isStatusColumn, classifyStatus } = require('./statusValues');
+
+const STATUS_COLOURS = {
+  ok: { fill: '#C6EFCE', text: '#006100' },
+  warning: { fill: '#FFEB9C', text: '#9C5700' },
+  failure: { fill: '#FFC7CE', text: '#9C0006' }
+};
+
+const MARGIN = 36;
+const FOOTER_HEIGHT = 24;
+const CELL_PADDING = 3;
+const FONT_SIZE = 7.5;
+const HEADER_FILL = '#1F4E78';
+const BORDER_COLOUR = '#B7B7B7';
+
+const cellText = (value) => (value === undefined || value === null ? '' : String(value));
+
+// Share the page width between columns according to their longest value
+const computeColumnWidths = (columns, rows, totalWidth) => {
+  const weights = columns.map(column => {
+    const longest = rows.reduce((max, row) => Math.max(max, cellText(row && row[column]).length), column.length);
+    return Math.min(Math.max(longest, 4), 40);
+  });
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+  return weights.map(weight => (weight / totalWeight) * totalWidth);
+};
+
+const rowHeight = (doc, values, widths) => {
+  const heights = values.map((value, index) => doc.heightOfString(value || ' ', {
+    width: widths[index] - CELL_PADDING * 2
+  }));
+  return Math.max(...heights, doc.currentLineHeight()) + CELL_PADDING * 2;
+};
+
+const drawRow = (doc, values, widths, y, styles = []) => {
+  const height = rowHeight(doc, values, widths);
+  let x = MARGIN;
+
+  values.forEach((value, index) => {
+    const style = styles[index] || {};
+    if (style.fill) {
+      doc.rect(x, y, widths[index], height).fill(style.fill);
+    }
+    doc.rect(x, y, widths[index], height).lineWidth(0.5).strokeColor(BORDER_COLOUR).stroke();
+    doc.fillColor(style.text || '#000000').text(value, x + CELL_PADDING, y + CELL_PADDING, {
+      width: widths[index] - CELL_PADDING * 2,
+      align: style.align || 'left'
+    });
+    x += widths[index];
+  });
+
+  return height;
+};
+
+// Render a report to a writable stream; footer and page numbers are added last
+const renderReportPdf = (stream, report, options = {}) => {
+  const columns = Array.isArray(report.columns) ? report.columns : [];
+  const rows = Array.isArray(report.rows) ? report.rows : [];
+  const generatedAt = options.generatedAt || new Date();
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margins: { top: MARGIN, bottom: MARGIN + FOOTER_HEIGHT, left: MARGIN, right: MARGIN },
+    bufferPages: true,
+    info: {
+      Title: report.reportTitle || 'Report',
+      Author: options.generatedBy || 'BizTras',
+      Subject: report.periodKey || '',
+      CreationDate: generatedAt
+    }
+  });
+  doc.pipe(stream);
+
+  const tableWidth = doc.page.width - MARGIN * 2;
+  const pageBottom = () => doc.page.height - doc.page.margins.bottom;
+  const widths = computeColumnWidths(columns, rows, tableWidth);
+
+  // Title block
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#000000').text(report.reportTitle || 'Report');
+  const startDate = formatDate(report.reportDates && report.reportDates.startDate);
+  const endDate = formatDate(report.reportDates && report.reportDates.endDate);
+  doc.font('Helvetica').fontSize(10)
+    .text(`${report.periodKey ? `${report.periodKey}: ` : ''}${startDate} to ${endDate}`);
+  (options.extraHeaders || []).forEach(([label, value]) => {
+    doc.text(`${label}: ${cellText(value) || '-'}`);
+  });
+  doc.moveDown();
+
+  const drawHeader = () => {
+    doc.font('Helvetica-Bold').fontSize(FONT_SIZE);
+    const height = drawRow(doc, columns, widths, doc.y, columns.map(() => ({
+      fill: HEADER_FILL,
+      text: '#FFFFFF',
+      align: 'center'
+    })));
+    doc.font('Helvetica').fontSize(FONT_SIZE);
+    return height;
+  };
+
+  let y = doc.y;
+  y += drawHeader();
+
+  rows.forEach(row => {
+    const values = columns.map(column => cellText(row && row[column]));
+    doc.font('Helvetica').fontSize(FONT_SIZE);
+
+    // Start a new page (with the header repeated) when the row does not fit
+    if (y + rowHeight(doc, values, widths) > pageBottom()) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      doc.y = y;
+      y += drawHeader();
+    }
+
+    const styles = columns.map((column, index) => {
+      if (!isStatusColumn(column)) return {};
+      const colours = STATUS_COLOURS[classifyStatus(values[index])];
+      return colours ? { fill: colours.fill, text: colours.text, align: 'center' } : { align: 'center' };
+    });
+
+    y += drawRow(doc, values, widths, y, styles);
+  });
+
+  if (rows.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor('#555555')
+      .text('This report has no rows.', MARGIN, y + 8);
+  }
+
+  // Footer on every page
+  const range = doc.bufferedPageRange();
+  const footer = `Generated by ${options.generatedBy || 'BizTras'} at ${generatedAt.toISOString()}`;
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+
+    // Writing inside the bottom margin would otherwise trigger a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const footerY = doc.page.height - MARGIN - FOOTER_HEIGHT / 2;
+    doc.font('Helvetica').fontSize(8).fillColor('#555555');
+    doc.text(footer, MARGIN, footerY, { width: tableWidth, align: 'left', lineBreak: false });
+    doc.text(`Page ${index - range.start + 1} of ${range.count}`, MARGIN, footerY, {
+      width: tableWidth,
+      align: 'right',
+      lineBreak: false
+    });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  renderReportPdf
+};
@@ -0,0 +1,88 @@
+/**
+ * Utility functions for parsing the query string filters shared by cross-report endpoints
+ */
+
+const { AppError } = require('./errorHandler');
+const { parseDateValue } = require('./dataValidator');
+const { getReportTypes } = require('./reportTypeRegistry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDateParam = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const date = parseDateValue(value);
+  if (!date) {
+    throw new AppError(`${name} must be a date such as 2024-03-31`, 400);
+  }
+  return date;
+};
+
+// Inclusive ?from=&to= dates (YYYY-MM-DD); to runs until the end of its day, missing bounds are null
+const parseDateRange = (query) => {
+  const from = parseDateParam(query.from, 'from');
+  const toDay = parseDateParam(query.to, 'to');
+  if (from && toDay && from > toDay) {
+    throw new AppError('from must not be after to', 400);
+  }
+
+  return { from, to: toDay ? new Date(toDay.getTime() + DAY_MS - 1) : null };
+};
+
+// Whether a user may read a report type, following the type's access permission
+const canReadReportType = (user, type) => {
+  if (user.role === 'admin') return true;
+  if (type.permissions.access === 'admin') return false;
+  return type.permissions.access === 'all' || Boolean(user.cloudUser);
+};
+
+// Report types the user may read, narrowed by ?type= (names or slugs, comma separated)
+const parseReportTypes = (user, requested) => {
+  const readable = getReportTypes().filter(type => canReadReportType(user, type));
+  if (!requested) return readable;
+
+  const names = String(requested).split(',').map(name => name.trim()).filter(Boolean);
+  const types = readable.filter(type => names.includes(type.name) || names.includes(type.slug));
+  if (types.length === 0) {
+    throw new AppError(`Unknown report type: ${requested}`, 400);
+  }
+  return types;
+};
+
+// Positive whole number such as ?limit= or ?page=, capped at max; missing values take the fallback
+const parsePositiveInt = (value, name, fallback, max = Infinity) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new AppError(`${name} must be a whole number of at least 1`, 400);
+  }
+  return Math.min(number, max);
+};
+
+// Opaque cursor of a list sorted by updatedAt then _id, both descending
+const encodeCursor = (doc) => Buffer.from(JSON.stringify({
+  updatedAt: new Date(doc.updatedAt).toISOString(),
+  id: String(doc._id)
+})).toString('base64url');
+
+const parseCursor = (value) => {
+  if (value === undefined || value === '') return null;
+
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const updatedAt = new Date(cursor.updatedAt);
+    if (isNaN(updatedAt.getTime()) || !/^[0-9a-fA-F]{24}$/.test(cursor.id)) throw new Error('Invalid cursor');
+    return { updatedAt, id: cursor.id };
+  } catch (error) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+};
+
+module.exports = {
+  parseDateParam,
+  parseDateRange,
+  canReadReportType,
+  parseReportTypes,
+  parsePositiveInt,
+  encodeCursor,
+  parseCursor
+};
@@ -0,0 +1,178 @@
+/**
+ * Utility functions for comparing two revisions of a report grid
+ */
+
+const { getRowServerId } = require('./serverRefs');
+
+const normalizeCell = (value) => (value === undefined || value === null ? '' : String(value));
+
+const sameDate = (a, b) => {
+  const left = a ? new Date(a).getTime() : null;
+  const right = b ? new Date(b).getTime() : null;
+  return left === right;
+};
+
+// Match renamed columns from the renames the revisions recorded; any other changed header is a removed column plus an added one
+const diffColumns = (fromColumns, toColumns, knownRenames = []) => {
+  const added = toColumns.filter(col => !fromColumns.includes(col));
+  const removed = fromColumns.filter(col => !toColumns.includes(col));
+  const renamed = [];
+
+  knownRenames.forEach(({ from, to }) => {
+    if (removed.includes(from) && added.includes(to)) {
+      renamed.push({ from, to });
+      removed.splice(removed.indexOf(from), 1);
+      added.splice(added.indexOf(to), 1);
+    }
+  });
+
+  // Column name in the old revision for each column of the new one
+  const sourceColumn = {};
+  toColumns.forEach(col => {
+    const rename = renamed.find(r => r.to === col);
+    if (rename) {
+      sourceColumn[col] = rename.from;
+    } else if (fromColumns.includes(col)) {
+      sourceColumn[col] = col;
+    }
+  });
+
+  const kept = fromColumns
+    .map(col => {
+      const rename = renamed.find(r => r.from === col);
+      return rename ? rename.to : col;
+    })
+    .filter(col => toColumns.includes(col));
+  const reordered = kept.join('\u0000') !== toColumns.filter(col => sourceColumn[col]).join('\u0000');
+
+  return { added, removed, renamed, reordered, sourceColumn };
+};
+
+// Rows are matched on their inventory server, their first column (usually "Server"), then by position
+const keyRows = (rows, keyColumn) => {
+  const seen = {};
+  return rows.map((row, index) => {
+    const serverId = getRowServerId(row);
+    const value = serverId
+      ? `server:${serverId}`
+      : keyColumn ? normalizeCell(row && row[keyColumn]).trim().toLowerCase() : '';
+    if (!value) {
+      return { key: `#${index}`, index, row };
+    }
+    seen[value] = (seen[value] || 0) + 1;
+    return { key: seen[value] > 1 ? `${value}#${seen[value]}` : value, index, row };
+  });
+};
+
+const diffRows = (fromSnapshot, toSnapshot, columnDiff) => {
+  const fromColumns = fromSnapshot.columns || [];
+  const toColumns = toSnapshot.columns || [];
+  const toKeyColumn = toColumns[0];
+  const fromKeyColumn = columnDiff.sourceColumn[toKeyColumn] || fromColumns[0];
+
+  const fromRows = keyRows(fromSnapshot.rows || [], fromKeyColumn);
+  const toRows = keyRows(toSnapshot.rows || [], toKeyColumn);
+  const fromByKey = new Map(fromRows.map(entry => [entry.key, entry]));
+  const toKeys = new Set(toRows.map(entry => entry.key));
+
+  const added = [];
+  const changed = [];
+
+  toRows.forEach(entry => {
+    const previous = fromByKey.get(entry.key);
+    if (!previous) {
+      added.push({ index: entry.index, row: entry.row });
+      return;
+    }
+
+    const cells = [];
+    toColumns.forEach(column => {
+      const source = columnDiff.sourceColumn[column];
+      const oldValue = source ? normalizeCell(previous.row && previous.row[source]) : '';
+      const newValue = normalizeCell(entry.row && entry.row[column]);
+      if (oldValue !== newValue) {
+        cells.push({ column, previousColumn: source || null, oldValue, newValue });
+      }
+    });
+
+    // Values in removed columns are gone from every matched row
+    columnDiff.removed.forEach(column => {
+      const oldValue = normalizeCell(previous.row && previous.row[column]);
+      if (oldValue !== '') {
+        cells.push({ column: null, previousColumn: column, oldValue, newValue: '' });
+      }
+    });
+
+    if (cells.length > 0 || previous.index !== entry.index) {
+      changed.push({
+        key: entry.key,
+        fromIndex: previous.index,
+        toIndex: entry.index,
+        moved: previous.index !== entry.index,
+        cells
+      });
+    }
+  });
+
+  const removed = fromRows
+    .filter(entry => !toKeys.has(entry.key))
+    .map(entry => ({ index: entry.index, row: entry.row }));
+
+  return { added, removed, changed };
+};
+
+// Header fields compared besides the title and period, e.g. totalSpaceUsed
+const diffFields = (fromSnapshot, toSnapshot, extraFields = []) => {
+  const fields = [];
+
+  ['reportTitle', 'periodKey', ...extraFields].forEach(field => {
+    if (fromSnapshot[field] === undefined && toSnapshot[field] === undefined) return;
+    const oldValue = normalizeCell(fromSnapshot[field]);
+    const newValue = normalizeCell(toSnapshot[field]);
+    if (oldValue !== newValue) {
+      fields.push({ field, oldValue, newValue });
+    }
+  });
+
+  const fromDates = fromSnapshot.reportDates || {};
+  const toDates = toSnapshot.reportDates || {};
+  ['startDate', 'endDate'].forEach(field => {
+    if (!sameDate(fromDates[field], toDates[field])) {
+      fields.push({
+        field: `reportDates.${field}`,
+        oldValue: fromDates[field] || null,
+        newValue: toDates[field] || null
+      });
+    }
+  });
+
+  return fields;
+};
+
+// Cell-level diff between two report snapshots
+const diffSnapshots = (fromSnapshot, toSnapshot, options = {}) => {
+  const columnDiff = diffColumns(fromSnapshot.columns || [], toSnapshot.columns || [], options.renames);
+  const rows = diffRows(fromSnapshot, toSnapshot, columnDiff);
+
+  return {
+    fields: diffFields(fromSnapshot, toSnapshot, options.fields),
+    columns: {
+      added: columnDiff.added,
+      removed: columnDiff.removed,
+      renamed: columnDiff.renamed,
+      reordered: columnDiff.reordered
+    },
+    rows,
+    summary: {
+      rowsAdded: rows.added.length,
+      rowsRemoved: rows.removed.length,
+      rowsChanged: rows.changed.filter(change => change.cells.length > 0).length,
+      cellsChanged: rows.changed.reduce((total, change) => total + change.cells.length, 0)
+    }
+  };
+};
+
+module.exports = {
+  diffColumns,
+  diffSnapshots
+};
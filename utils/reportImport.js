@@ -0,0 +1,254 @@
+/**
+ * Utility functions for importing report rows from CSV or XLSX uploads
+ */
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { formatDate, unescapeCsvField } = require('./csvExport');
+const { validateCellValue } = require('./dataValidator');
+
+const MAX_CELL_LENGTH = 1000;
+
+// RFC 4180 parser: quoted fields, escaped quotes and CRLF or LF line endings
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const table = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      table.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV file has an unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    table.push(row);
+  }
+
+  return table;
+};
+
+const xlsxCellText = (cell) => {
+  const { value } = cell;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return formatDate(value);
+  if (typeof value === 'object' && value.result !== undefined) {
+    return value.result instanceof Date ? formatDate(value.result) : String(value.result);
+  }
+  return cell.text;
+};
+
+// Read the first worksheet of an XLSX file into an array of rows
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw new Error('Workbook has no worksheets');
+  }
+
+  const table = [];
+  sheet.eachRow({ includeEmpty: true }, (sheetRow, rowNumber) => {
+    const cells = [];
+    sheetRow.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+      cells[columnNumber - 1] = xlsxCellText(cell);
+    });
+    table[rowNumber - 1] = Array.from(cells, cell => cell || '');
+  });
+
+  return Array.from(table, row => row || []);
+};
+
+const parseUploadedTable = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.xlsx') {
+    return parseXlsx(file.buffer);
+  }
+  return parseCsv(file.buffer.toString('utf8')).map(row => row.map(unescapeCsvField));
+};
+
+const normalizeHeader = (header) => String(header || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const isEmptyRow = (row) => !row || row.every(cell => String(cell || '').trim() === '');
+
+// The grid header is the first row naming a known column (exports put a title block above it)
+const findHeaderRow = (table, columns) => {
+  const known = new Set(columns.map(normalizeHeader));
+  const matchIndex = table.findIndex(row => row && row.some(cell => known.has(normalizeHeader(cell))));
+  if (matchIndex !== -1) return matchIndex;
+  return table.findIndex(row => !isEmptyRow(row));
+};
+
+/**
+ * Map an uploaded table onto a report's columns without saving anything.
+ * options.unknownColumns: 'add' appends unmatched headers as new columns, 'ignore' drops them
+ * options.columnDefinitions: typed definitions every imported cell is checked against
+ */
+const buildImportPlan = (table, columns, options = {}) => {
+  const unknownColumns = options.unknownColumns === 'add' ? 'add' : 'ignore';
+  const problems = [];
+  const headerIndex = findHeaderRow(table, columns);
+
+  if (headerIndex === -1) {
+    return {
+      headerRow: null,
+      mapping: [],
+      columns: [...columns],
+      rows: [],
+      problems: [{ row: null, column: null, severity: 'error', message: 'The file contains no data' }],
+      summary: { totalRows: 0, importedRows: 0, errors: 1, warnings: 0, addedColumns: [], ignoredColumns: [] }
+    };
+  }
+
+  const columnsByName = new Map(columns.map(column => [normalizeHeader(column), column]));
+  const resultColumns = [...columns];
+  const mappedColumns = new Set();
+  const headers = table[headerIndex];
+
+  const mapping = headers.map((header, index) => {
+    const name = String(header || '').trim();
+    if (!name) {
+      return { index, header: name, column: null, action: 'ignored' };
+    }
+
+    let column = columnsByName.get(normalizeHeader(name));
+    let action = 'mapped';
+
+    if (!column) {
+      if (unknownColumns === 'ignore') {
+        problems.push({ row: headerIndex + 1, column: name, severity: 'warning', message: `Unknown column "${name}" will be ignored` });
+        return { index, header: name, column: null, action: 'ignored' };
+      }
+      column = name;
+      action = 'added';
+      resultColumns.push(column);
+      columnsByName.set(normalizeHeader(name), column);
+    }
+
+    if (mappedColumns.has(column)) {
+      problems.push({ row: headerIndex + 1, column: name, severity: 'warning', message: `Duplicate column "${name}" will be ignored` });
+      return { index, header: name, column: null, action: 'ignored' };
+    }
+
+    mappedColumns.add(column);
+    return { index, header: name, column, action };
+  });
+
+  const keyColumn = resultColumns[0];
+  const definitions = (options.columnDefinitions || []).filter(def => resultColumns.includes(def.name));
+  const seenKeys = new Map();
+  const rows = [];
+  let totalRows = 0;
+
+  table.slice(headerIndex + 1).forEach((cells, offset) => {
+    if (isEmptyRow(cells)) return;
+
+    const rowNumber = headerIndex + offset + 2;
+    const row = {};
+    let rowHasError = false;
+    totalRows++;
+
+    resultColumns.forEach(column => {
+      row[column] = '';
+    });
+
+    cells.forEach((cell, index) => {
+      const value = String(cell === undefined || cell === null ? '' : cell).trim();
+      const target = mapping[index];
+
+      if (!target || !target.column) {
+        if (value && !target) {
+          problems.push({ row: rowNumber, column: null, severity: 'warning', message: `Value "${value}" in column ${index + 1} has no header and will be ignored` });
+        }
+        return;
+      }
+
+      if (value.length > MAX_CELL_LENGTH) {
+        problems.push({ row: rowNumber, column: target.column, severity: 'error', message: `Value exceeds ${MAX_CELL_LENGTH} characters` });
+        rowHasError = true;
+        return;
+      }
+
+      row[target.column] = value;
+    });
+
+    definitions.forEach(definition => {
+      const message = validateCellValue(row[definition.name], definition);
+      if (message) {
+        problems.push({ row: rowNumber, column: definition.name, severity: 'error', message });
+        rowHasError = true;
+      }
+    });
+
+    if (row[keyColumn]) {
+      const key = row[keyColumn].toLowerCase();
+      if (seenKeys.has(key)) {
+        problems.push({ row: rowNumber, column: keyColumn, severity: 'warning', message: `"${row[keyColumn]}" already appears on row ${seenKeys.get(key)}` });
+      } else {
+        seenKeys.set(key, rowNumber);
+      }
+    }
+
+    rows.push({ rowNumber, row, valid: !rowHasError });
+  });
+
+  const errors = problems.filter(problem => problem.severity === 'error').length;
+
+  return {
+    headerRow: headerIndex + 1,
+    mapping,
+    columns: resultColumns,
+    rows,
+    problems,
+    summary: {
+      totalRows,
+      importedRows: rows.filter(entry => entry.valid).length,
+      errors,
+      warnings: problems.length - errors,
+      addedColumns: mapping.filter(entry => entry.action === 'added').map(entry => entry.column),
+      ignoredColumns: mapping.filter(entry => entry.action === 'ignored' && entry.header).map(entry => entry.header)
+    }
+  };
+};
+
+module.exports = {
+  parseCsv,
+  parseXlsx,
+  parseUploadedTable,
+  buildImportPlan
+};
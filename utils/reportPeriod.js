@@ -0,0 +1,91 @@
+/**
+ * Utility functions for mapping report dates to ISO week periods
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_KEY_PATTERN = /^(\d{4})-W(\d{2})$/;
+
+// Monday 00:00 UTC of the ISO week that contains the given date
+const startOfIsoWeek = (date) => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() - (day - 1));
+  return d;
+};
+
+const getIsoWeek = (input = new Date()) => {
+  const date = input instanceof Date ? input : new Date(input);
+  if (isNaN(date.getTime())) {
+    throw new Error('Invalid date supplied for report period');
+  }
+
+  const startDate = startOfIsoWeek(date);
+
+  // The ISO year is the year that contains the Thursday of this week
+  const thursday = new Date(startDate.getTime() + 3 * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const firstThursday = startOfIsoWeek(new Date(Date.UTC(year, 0, 4)));
+  const week = Math.round((startDate.getTime() - firstThursday.getTime()) / (7 * DAY_MS)) + 1;
+
+  const endDate = new Date(startDate.getTime() + 7 * DAY_MS - 1);
+
+  return {
+    key: `${year}-W${String(week).padStart(2, '0')}`,
+    year,
+    week,
+    startDate,
+    endDate
+  };
+};
+
+const isValidPeriodKey = (key) => {
+  if (typeof key !== 'string') return false;
+  const match = key.match(PERIOD_KEY_PATTERN);
+  if (!match) return false;
+
+  const week = parseInt(match[2], 10);
+  if (week < 1 || week > 53) return false;
+
+  // Week 53 only exists in some years
+  return getIsoWeek(getPeriodStart(key)).key === key;
+};
+
+// Monday of a period key such as "2024-W07"
+const getPeriodStart = (key) => {
+  const match = String(key).match(PERIOD_KEY_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid report period: ${key}`);
+  }
+
+  const year = parseInt(match[1], 10);
+  const week = parseInt(match[2], 10);
+  const firstMonday = startOfIsoWeek(new Date(Date.UTC(year, 0, 4)));
+  return new Date(firstMonday.getTime() + (week - 1) * 7 * DAY_MS);
+};
+
+const getPeriodFromKey = (key) => {
+  if (!isValidPeriodKey(key)) {
+    throw new Error(`Invalid report period: ${key}`);
+  }
+  return getIsoWeek(getPeriodStart(key));
+};
+
+// Resolve the period a report belongs to from its reportDates
+const getPeriodForDates = (reportDates) => {
+  const startDate = reportDates && reportDates.startDate ? new Date(reportDates.startDate) : new Date();
+  return getIsoWeek(isNaN(startDate.getTime()) ? new Date() : startDate);
+};
+
+const shiftPeriod = (key, weeks) => {
+  const start = getPeriodStart(key);
+  return getIsoWeek(new Date(start.getTime() + weeks * 7 * DAY_MS));
+};
+
+module.exports = {
+  getIsoWeek,
+  isValidPeriodKey,
+  getPeriodStart,
+  getPeriodFromKey,
+  getPeriodForDates,
+  shiftPeriod
+};
@@ -0,0 +1,97 @@
+/**
+ * Utility functions for free text search over report titles and row cells
+ */
+
+const { getServerColumn, getRowKey } = require('./serverRefs');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words and "quoted phrases" of a query, lowercased and without duplicates
+const parseSearchTerms = (query) => {
+  const terms = [];
+  String(query || '').replace(/"([^"]*)"|(\S+)/g, (match, phrase, word) => {
+    const term = (phrase !== undefined ? phrase : word).trim().toLowerCase();
+    if (term && !terms.includes(term)) terms.push(term);
+    return match;
+  });
+  return terms;
+};
+
+// Every occurrence of the terms in a text as { start, end } ranges, overlapping ones merged
+const findRanges = (text, terms) => {
+  if (!text || terms.length === 0) return [];
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+  const ranges = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const range = { start: match.index, end: match.index + match[0].length };
+    const last = ranges[ranges.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      ranges.push(range);
+    }
+  }
+  return ranges;
+};
+
+const containsAll = (texts, terms) => {
+  const haystack = texts.join('\n').toLowerCase();
+  return terms.every(term => haystack.includes(term));
+};
+
+const findColumn = (columns, name) => {
+  const wanted = String(name).trim().toLowerCase();
+  return (columns || []).find(column => column.trim().toLowerCase() === wanted) || null;
+};
+
+/**
+ * Match a report against search terms. A row matches when its cells (only the given
+ * column, if any) contain every term; the title is searched unless a column is given.
+ * Returns null when nothing matches, else the title ranges and matching rows with the
+ * ranges of each matching cell.
+ */
+const searchReport = (report, terms, { column = null } = {}) => {
+  const columns = report.columns || [];
+  const searchColumns = column ? [findColumn(columns, column)].filter(Boolean) : columns;
+  if (searchColumns.length === 0) return null;
+
+  // Filters alone match the whole report
+  if (terms.length === 0) {
+    return { titleMatches: [], rows: [] };
+  }
+
+  const title = report.reportTitle || '';
+  const titleMatches = !column && containsAll([title], terms) ? findRanges(title, terms) : [];
+  const serverColumn = getServerColumn(columns);
+
+  const rows = [];
+  (report.rows || []).forEach((row, index) => {
+    if (!row || typeof row !== 'object') return;
+
+    const values = searchColumns.map(name => (row[name] === undefined || row[name] === null ? '' : String(row[name])));
+    if (!containsAll(values, terms)) return;
+
+    const cells = searchColumns
+      .map((name, position) => ({ column: name, value: values[position], ranges: findRanges(values[position], terms) }))
+      .filter(cell => cell.ranges.length > 0);
+
+    rows.push({
+      index,
+      rowKey: getRowKey(row, columns),
+      server: serverColumn && row[serverColumn] ? String(row[serverColumn]) : '',
+      cells
+    });
+  });
+
+  if (titleMatches.length === 0 && rows.length === 0) return null;
+  return { titleMatches, rows };
+};
+
+module.exports = {
+  escapeRegExp,
+  parseSearchTerms,
+  findRanges,
+  searchReport
+};
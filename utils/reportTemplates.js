@@ -0,0 +1,50 @@
+/**
+ * Built-in report layouts from the report type registry, used when no admin template applies
+ */
+
+const { getReportType } = require('./reportTypeRegistry');
+
+const toDefinition = (definition) => ({
+  name: definition.name,
+  type: definition.type || 'text',
+  allowedValues: [...(definition.allowedValues || [])],
+  required: Boolean(definition.required)
+});
+
+// A fresh copy of a report type's built-in layout
+const getBuiltInTemplate = (reportType) => {
+  const type = getReportType(reportType);
+  if (!type) {
+    throw new Error(`Unknown report type: ${reportType}`);
+  }
+
+  return {
+    name: type.reportTitle,
+    reportTitle: type.reportTitle,
+    columns: type.columnDefinitions.map(def => def.name),
+    columnDefinitions: type.columnDefinitions.map(toDefinition),
+    defaultRows: []
+  };
+};
+
+// Definition of a built-in column, or a free text one for any other name
+const getBuiltInColumnDefinition = (reportType, name) => {
+  const definition = (getReportType(reportType)?.columnDefinitions || []).find(def => def.name === name);
+  return toDefinition(definition || { name, type: 'text' });
+};
+
+// Template rows shaped to the template's columns
+const buildTemplateRows = (columns, rows = []) => rows.map(row => {
+  const templateRow = {};
+  columns.forEach(column => {
+    const value = row ? row[column] : '';
+    templateRow[column] = value === undefined || value === null ? '' : String(value).trim();
+  });
+  return templateRow;
+});
+
+module.exports = {
+  getBuiltInTemplate,
+  getBuiltInColumnDefinition,
+  buildTemplateRows
+};
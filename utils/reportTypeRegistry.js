@@ -0,0 +1,30 @@
+/**
+ * Registry of report types; each type registers itself from its model file
+ */
+
+const reportTypes = new Map();
+
+const registerReportType = (type) => {
+  if (reportTypes.has(type.name)) {
+    throw new Error(`Report type ${type.name} is already registered`);
+  }
+  if ([...reportTypes.values()].some(existing => existing.slug === type.slug)) {
+    throw new Error(`Report type slug ${type.slug} is already in use`);
+  }
+
+  reportTypes.set(type.name, type);
+  return type;
+};
+
+const getReportType = (name) => reportTypes.get(name) || null;
+
+const getReportTypes = () => [...reportTypes.values()];
+
+const isReportType = (name) => reportTypes.has(name);
+
+module.exports = {
+  registerReportType,
+  getReportType,
+  getReportTypes,
+  isReportType
+};
@@ -0,0 +1,186 @@
+/**
+ * Utility functions for per-server uptime analytics built from the weekday status cells of report history
+ */
+
+const { WEEKDAY_COLUMNS, isWeekdayColumn, classifyStatus } = require('./statusValues');
+const { getServerColumn, getRowServerId, getRowKey } = require('./serverRefs');
+const { getIsoWeek } = require('./reportPeriod');
+const { formatDate } = require('./csvExport');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATUS_RANK = { ok: 1, warning: 2, failure: 3 };
+
+const percentage = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 100 : null);
+
+// Status cells of one report; each weekday column is that day of the report's week
+const collectDailyStatuses = (report, reportType) => {
+  const columns = report.columns || [];
+  const serverColumn = getServerColumn(columns);
+  const weekStart = getIsoWeek(report.reportDates?.startDate || report.createdAt).startDate.getTime();
+  const dayColumns = columns
+    .filter(isWeekdayColumn)
+    .map(column => ({ column, date: formatDate(weekStart + WEEKDAY_COLUMNS.indexOf(column.trim()) * DAY_MS) }));
+
+  const entries = [];
+  (report.rows || []).forEach(row => {
+    const key = getRowKey(row, columns);
+    if (!key) return;
+
+    dayColumns.forEach(({ column, date }) => {
+      const status = classifyStatus(row[column]);
+      if (!status) return;
+
+      entries.push({
+        key,
+        server: String(row[serverColumn]).trim(),
+        serverId: getRowServerId(row),
+        date,
+        reportType,
+        status,
+        value: String(row[column]).trim()
+      });
+    });
+  });
+
+  return entries;
+};
+
+// Longest run of failure days, counting only days that follow each other
+const findLongestFailureStreak = (timeline) => {
+  let longest = null;
+  let current = null;
+
+  timeline.forEach(day => {
+    if (day.status !== 'failure') {
+      current = null;
+      return;
+    }
+
+    const follows = current && Date.parse(day.date) - Date.parse(current.endDate) === DAY_MS;
+    current = follows
+      ? { ...current, days: current.days + 1, endDate: day.date }
+      : { days: 1, startDate: day.date, endDate: day.date };
+
+    if (!longest || current.days > longest.days) {
+      longest = current;
+    }
+  });
+
+  return longest || { days: 0, startDate: null, endDate: null };
+};
+
+// Failures at the end of a timeline, skipping days without a value; null when the last value is not a failure
+const findTrailingFailureStreak = (timeline) => {
+  let start = timeline.length;
+  while (start > 0 && timeline[start - 1].status === 'failure') {
+    start--;
+  }
+  if (start === timeline.length) return null;
+
+  const days = timeline.slice(start);
+  return {
+    days: days.length,
+    startDate: days[0].date,
+    endDate: days[days.length - 1].date,
+    values: days.map(day => ({ date: day.date, sources: day.sources }))
+  };
+};
+
+// Number of separate failure incidents: failure days not preceded by a failure the day before
+const countFailureIncidents = (timeline) => timeline.filter((day, index) => {
+  if (day.status !== 'failure') return false;
+  const previous = timeline[index - 1];
+  return !previous || previous.status !== 'failure' || Date.parse(day.date) - Date.parse(previous.date) !== DAY_MS;
+}).length;
+
+const summarizeTimeline = (timeline) => {
+  const counts = { ok: 0, warning: 0, failure: 0 };
+  timeline.forEach(day => {
+    counts[day.status]++;
+  });
+
+  const recordedDays = timeline.length;
+  const operationalDays = counts.ok + counts.warning;
+  const failureIncidents = countFailureIncidents(timeline);
+
+  return {
+    recordedDays,
+    counts,
+    successRate: percentage(counts.ok, recordedDays),
+    uptime: percentage(operationalDays, recordedDays),
+    longestFailureStreak: findLongestFailureStreak(timeline),
+    failureIncidents,
+    // Mean time between failures in days of operation; null while the server never failed
+    mtbfDays: failureIncidents > 0 ? Math.round((operationalDays / failureIncidents) * 100) / 100 : null
+  };
+};
+
+/**
+ * Build per-server timelines from status entries. A day reported by several report
+ * types takes the worst status; from and to are inclusive "YYYY-MM-DD" bounds.
+ */
+const buildUptimeAnalytics = (entries, { from = null, to = null } = {}) => {
+  const servers = new Map();
+
+  entries.forEach(entry => {
+    if ((from && entry.date < from) || (to && entry.date > to)) return;
+
+    if (!servers.has(entry.key)) {
+      servers.set(entry.key, { key: entry.key, server: entry.server, serverId: entry.serverId, lastDate: entry.date, days: new Map() });
+    }
+    const server = servers.get(entry.key);
+
+    // The most recent report names the server
+    if (entry.date >= server.lastDate) {
+      server.server = entry.server;
+      server.lastDate = entry.date;
+    }
+
+    const day = server.days.get(entry.date) || { date: entry.date, status: entry.status, sources: {} };
+    day.sources[entry.reportType] = entry.value;
+    if (STATUS_RANK[entry.status] > STATUS_RANK[day.status]) {
+      day.status = entry.status;
+    }
+    server.days.set(entry.date, day);
+  });
+
+  const results = Array.from(servers.values()).map(server => {
+    const timeline = Array.from(server.days.values()).sort((a, b) => a.date.localeCompare(b.date));
+    return {
+      key: server.key,
+      server: server.server,
+      serverId: server.serverId,
+      ...summarizeTimeline(timeline),
+      timeline
+    };
+  });
+
+  return results.sort((a, b) => a.server.localeCompare(b.server));
+};
+
+// Totals across servers; streaks and MTBF only make sense per server
+const summarizeServers = (servers) => {
+  const counts = { ok: 0, warning: 0, failure: 0 };
+  servers.forEach(server => {
+    Object.keys(counts).forEach(status => {
+      counts[status] += server.counts[status];
+    });
+  });
+  const recordedDays = counts.ok + counts.warning + counts.failure;
+
+  return {
+    servers: servers.length,
+    recordedDays,
+    counts,
+    successRate: percentage(counts.ok, recordedDays),
+    uptime: percentage(counts.ok + counts.warning, recordedDays),
+    failureIncidents: servers.reduce((total, server) => total + server.failureIncidents, 0)
+  };
+};
+
+module.exports = {
+  collectDailyStatuses,
+  buildUptimeAnalytics,
+  findTrailingFailureStreak,
+  summarizeServers
+};
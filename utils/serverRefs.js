@@ -0,0 +1,40 @@
+/**
+ * Utility functions for linking report rows to the server inventory
+ */
+
+// Row key holding the id of the inventory server a row describes
+const SERVER_REF_KEY = '_serverId';
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// "web-01", "Web01 " and "WEB_01" all name the same machine
+const normalizeServerName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// The column naming the server: "Server" if present, otherwise the first column
+const getServerColumn = (columns) => {
+  if (!Array.isArray(columns) || columns.length === 0) return null;
+  return columns.find(column => String(column).trim().toLowerCase() === 'server') || columns[0];
+};
+
+const getRowServerId = (row) => {
+  const value = row && row[SERVER_REF_KEY];
+  return value && OBJECT_ID_PATTERN.test(String(value)) ? String(value) : null;
+};
+
+// Key that follows a row across edits: its inventory server, else its server name
+const getRowKey = (row, columns) => {
+  const serverId = getRowServerId(row);
+  if (serverId) return `server:${serverId}`;
+
+  const serverColumn = getServerColumn(columns);
+  const name = serverColumn && row ? normalizeServerName(row[serverColumn]) : '';
+  return name ? `name:${name}` : null;
+};
+
+module.exports = {
+  SERVER_REF_KEY,
+  normalizeServerName,
+  getServerColumn,
+  getRowServerId,
+  getRowKey
+};
@@ -0,0 +1,79 @@
+/**
+ * Utility functions for classifying the status values typed into report grids
+ */
+
+const WEEKDAY_COLUMNS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const STATUS_COLUMNS = ['Status', 'SERVER STATUS'];
+
+const OK_VALUES = [
+  'ok', 'okay', 'up', 'success', 'successful', 'succeeded', 'done', 'completed', 'complete',
+  'running', 'active', 'online', 'healthy', 'pass', 'passed', 'yes', 'y', 'working', 'green',
+  'valid', '✓', '✔', '✅'
+];
+const WARNING_VALUES = [
+  'warning', 'warn', 'partial', 'partially', 'pending', 'degraded', 'slow', 'skipped', 'skip',
+  'in progress', 'running late', 'delayed', 'maintenance', 'amber', 'yellow', 'unknown', '⚠', '⚠️'
+];
+const FAILURE_VALUES = [
+  'fail', 'failed', 'failure', 'down', 'error', 'offline', 'stopped', 'critical', 'no', 'n',
+  'not working', 'not running', 'not ok', 'not okay', 'not done', 'not completed', 'unsuccessful',
+  'unhealthy', 'unreachable', 'unavailable', 'missed', 'red', 'x', '✗', '✘', '❌'
+];
+
+// Phrases that say nothing went wrong, anywhere in the text: "Completed with no errors",
+// "Backup OK, no issues", "Completed - 0 errors", "OK (no alerts)"
+const ALL_CLEAR_PATTERN = /\b(no|zero|0|without)\s+(issues?|errors?|problems?|failures?|alerts?|warnings?)\b/g;
+const FAILURE_PATTERN = /\b(fail\w*|down|errors?|offline|stopped|critical|missed|unsuccessful|unhealthy|unreachable|unavailable|unresponsive)\b/;
+// A negated ok word is a failure: "not running", "never completed", "didn't run", "backup not completed"
+const NEGATION_PATTERN = /\b(not|never|cannot|can't|didn't|did not|isn't|wasn't|unable to)\s+(\w+\s+)?(ok|okay|up|run|running|complete|completed|done|working|succeed\w*|success\w*|pass\w*|online|healthy|start\w*)\b/;
+
+const isWeekdayColumn = (column) => WEEKDAY_COLUMNS.includes(String(column).trim());
+
+// Weekday columns and the overall server status columns hold status values
+const isStatusColumn = (column) => {
+  const name = String(column).trim();
+  return isWeekdayColumn(name) || STATUS_COLUMNS.some(status => status.toLowerCase() === name.toLowerCase());
+};
+
+// Classify a cell as 'ok', 'warning', 'failure' or null when empty/unrecognized
+const classifyStatus = (value) => {
+  const text = value === undefined || value === null ? '' : String(value).trim().toLowerCase();
+  if (!text) return null;
+
+  if (FAILURE_VALUES.includes(text)) return 'failure';
+  if (WARNING_VALUES.includes(text)) return 'warning';
+  if (OK_VALUES.includes(text)) return 'ok';
+
+  // Free text such as "Failed - disk full" or "Backup completed"; all-clear phrases are set aside
+  // first, then failures and negated ok words win over ok words
+  const rest = text.replace(ALL_CLEAR_PATTERN, ' ');
+  if (FAILURE_PATTERN.test(rest) || NEGATION_PATTERN.test(rest)) return 'failure';
+  if (/\b(warn|warning|partial|pending|degraded|delayed|skipped)\b/.test(rest)) return 'warning';
+  if (/\b(ok|up|success|successful|completed|running|online|healthy|passed)\b/.test(rest)) return 'ok';
+
+  return rest === text ? null : 'ok';
+};
+
+// Tally of the recognized values in a grid's status columns
+const countStatuses = (rows, columns) => {
+  const counts = { ok: 0, warning: 0, failure: 0 };
+  const statusColumns = (columns || []).filter(isStatusColumn);
+
+  (rows || []).forEach(row => {
+    if (!row || typeof row !== 'object') return;
+    statusColumns.forEach(column => {
+      const status = classifyStatus(row[column]);
+      if (status) counts[status]++;
+    });
+  });
+
+  return counts;
+};
+
+module.exports = {
+  WEEKDAY_COLUMNS,
+  isWeekdayColumn,
+  isStatusColumn,
+  classifyStatus,
+  countStatuses
+};
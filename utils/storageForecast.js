@@ -0,0 +1,135 @@
+/**
+ * Utility functions for storage growth series and linear capacity forecasts from weekly reports
+ */
+
+const { parseStorageSize, formatBytes } = require('./storageSize');
+const { getServerColumn, getRowServerId, getRowKey } = require('./serverRefs');
+const { getIsoWeek } = require('./reportPeriod');
+const { formatDate } = require('./csvExport');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Least squares line through { x, y } points; null until two distinct x values exist
+const linearRegression = (points) => {
+  if (points.length < 2) return null;
+
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  if (sxx === 0) return null;
+
+  const sxy = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const slope = sxy / sxx;
+  return { slope, intercept: meanY - slope * meanX };
+};
+
+/**
+ * Fit a line to a { date, bytes } series (dates as "YYYY-MM-DD") and project when it
+ * reaches capacityBytes. Status is 'insufficient-data', 'over-capacity', 'growing',
+ * 'stable' or 'shrinking'.
+ */
+const forecastCapacity = (series, capacityBytes = null, now = new Date()) => {
+  const points = series
+    .filter(point => Number.isFinite(point.bytes))
+    .map(point => ({ x: Date.parse(point.date) / DAY_MS, y: point.bytes }));
+  const latest = points[points.length - 1] || null;
+  const capacity = capacityBytes > 0 ? capacityBytes : null;
+
+  const forecast = {
+    currentBytes: latest ? latest.y : null,
+    capacityBytes: capacity,
+    capacity: capacity ? formatBytes(capacity) : null,
+    percentUsed: latest && capacity ? Math.round((latest.y / capacity) * 10000) / 100 : null,
+    growthBytesPerDay: null,
+    growthPerWeek: null,
+    projectedFullDate: null,
+    daysUntilFull: null,
+    status: 'insufficient-data'
+  };
+
+  const line = linearRegression(points);
+  if (!line) {
+    if (latest && capacity && latest.y >= capacity) forecast.status = 'over-capacity';
+    return forecast;
+  }
+
+  forecast.growthBytesPerDay = Math.round(line.slope);
+  forecast.growthPerWeek = `${line.slope < 0 ? '-' : ''}${formatBytes(Math.abs(line.slope) * 7)}`;
+
+  if (capacity && latest.y >= capacity) {
+    forecast.status = 'over-capacity';
+    forecast.daysUntilFull = 0;
+    return forecast;
+  }
+
+  if (Math.round(line.slope) === 0) {
+    forecast.status = 'stable';
+    return forecast;
+  }
+  if (line.slope < 0) {
+    forecast.status = 'shrinking';
+    return forecast;
+  }
+
+  forecast.status = 'growing';
+  if (capacity) {
+    const fullDay = (capacity - line.intercept) / line.slope;
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) / DAY_MS;
+    forecast.daysUntilFull = Math.max(0, Math.ceil(fullDay - today));
+    forecast.projectedFullDate = formatDate((today + forecast.daysUntilFull) * DAY_MS);
+  }
+
+  return forecast;
+};
+
+// Space used by each server in one report, keyed like comment rows (inventory id, else name)
+const collectStorageValues = (report, storageColumn) => {
+  if (!storageColumn) return [];
+
+  const columns = report.columns || [];
+  const serverColumn = getServerColumn(columns);
+  const period = getIsoWeek(report.reportDates?.startDate || report.createdAt);
+
+  return (report.rows || []).reduce((values, row) => {
+    const key = getRowKey(row, columns);
+    const raw = row && row[storageColumn] !== undefined && row[storageColumn] !== null ? String(row[storageColumn]).trim() : '';
+    if (!key || !raw) return values;
+
+    const size = parseStorageSize(raw);
+    values.push({
+      key,
+      server: String(row[serverColumn]).trim(),
+      serverId: getRowServerId(row),
+      periodKey: period.key,
+      date: formatDate(period.startDate),
+      raw,
+      bytes: size ? size.bytes : null
+    });
+    return values;
+  }, []);
+};
+
+// Group storage values into one chronological series per server
+const buildServerSeries = (values) => {
+  const servers = new Map();
+
+  [...values].sort((a, b) => a.date.localeCompare(b.date)).forEach(value => {
+    if (!servers.has(value.key)) {
+      servers.set(value.key, { server: value.server, serverId: value.serverId, series: [] });
+    }
+    const server = servers.get(value.key);
+
+    // The most recent report names the server
+    server.server = value.server;
+    server.series.push({ periodKey: value.periodKey, date: value.date, raw: value.raw, bytes: value.bytes });
+  });
+
+  return Array.from(servers.values());
+};
+
+module.exports = {
+  linearRegression,
+  forecastCapacity,
+  collectStorageValues,
+  buildServerSeries
+};
@@ -0,0 +1,76 @@
+/**
+ * Utility functions for parsing storage sizes such as "120 GB" or "850MiB"
+ */
+
+// Decimal units follow the SI definition, binary units the IEC one
+const UNIT_BYTES = {
+  b: 1,
+  byte: 1,
+  bytes: 1,
+  kb: 1e3,
+  mb: 1e6,
+  gb: 1e9,
+  tb: 1e12,
+  pb: 1e15,
+  kib: 1024,
+  mib: 1024 ** 2,
+  gib: 1024 ** 3,
+  tib: 1024 ** 4,
+  pib: 1024 ** 5,
+  k: 1e3,
+  m: 1e6,
+  g: 1e9,
+  t: 1e12,
+  p: 1e15
+};
+
+const CANONICAL_UNITS = {
+  b: 'B', byte: 'B', bytes: 'B',
+  kb: 'KB', mb: 'MB', gb: 'GB', tb: 'TB', pb: 'PB',
+  kib: 'KiB', mib: 'MiB', gib: 'GiB', tib: 'TiB', pib: 'PiB',
+  k: 'KB', m: 'MB', g: 'GB', t: 'TB', p: 'PB'
+};
+
+// Commas only group thousands (1,000 GB); a decimal comma such as 1,5 GB is not a size
+const SIZE_PATTERN = /^(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?|\.\d+)\s*([a-z]+)?$/i;
+
+// Returns { bytes, value, unit } or null when the text is not a size
+const parseStorageSize = (input) => {
+  if (input === undefined || input === null) return null;
+  if (typeof input === 'number') {
+    return Number.isFinite(input) && input >= 0 ? { bytes: input, value: input, unit: 'B' } : null;
+  }
+
+  const text = String(input).trim();
+  const match = text.match(SIZE_PATTERN);
+  if (!match) return null;
+
+  const value = parseFloat(match[1].replace(/,/g, ''));
+  const unitKey = (match[2] || 'b').toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(UNIT_BYTES, unitKey) || !Number.isFinite(value)) {
+    return null;
+  }
+
+  return {
+    bytes: Math.round(value * UNIT_BYTES[unitKey]),
+    value,
+    unit: CANONICAL_UNITS[unitKey]
+  };
+};
+
+const isStorageSize = (input) => parseStorageSize(input) !== null;
+
+// Human readable size using decimal units, e.g. 1.2 TB
+const formatBytes = (bytes, decimals = 2) => {
+  if (!Number.isFinite(bytes) || bytes <= 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  const exponent = Math.min(Math.floor(Math.log10(bytes) / 3), units.length - 1);
+  const value = bytes / 1000 ** exponent;
+  return `${parseFloat(value.toFixed(decimals))} ${units[exponent]}`;
+};
+
+module.exports = {
+  parseStorageSize,
+  isStorageSize,
+  formatBytes
+};
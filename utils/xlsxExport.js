@@ -0,0 +1,97 @@
+/**
+ * Utility functions for building XLSX workbooks from report grids
+ */
+
+const ExcelJS = require('exceljs');
+const { formatDate } = require('./csvExport');
+const { isStatusColumn, classifyStatus } = require('./statusValues');
+
+// Same palette as the grid on screen
+const STATUS_FILLS = {
+  ok: { fill: 'FFC6EFCE', font: 'FF006100' },
+  warning: { fill: 'FFFFEB9C', font: 'FF9C5700' },
+  failure: { fill: 'FFFFC7CE', font: 'FF9C0006' }
+};
+
+const HEADER_FILL = 'FF1F4E78';
+const MIN_COLUMN_WIDTH = 10;
+const MAX_COLUMN_WIDTH = 60;
+
+const solidFill = (argb) => ({ type: 'pattern', pattern: 'solid', fgColor: { argb } });
+
+const buildReportWorkbook = (report, options = {}) => {
+  const columns = Array.isArray(report.columns) ? report.columns : [];
+  const rows = Array.isArray(report.rows) ? report.rows : [];
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = options.creator || 'BizTras';
+  workbook.created = new Date();
+
+  // Sheet names are limited to 31 characters and cannot contain []:*?/\
+  const sheetName = (options.sheetName || report.reportTitle || 'Report').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+  const sheet = workbook.addWorksheet(sheetName);
+
+  // Title, date range and summary lines above the grid
+  const titleRow = sheet.addRow([report.reportTitle || '']);
+  titleRow.font = { bold: true, size: 14 };
+
+  const startDate = formatDate(report.reportDates && report.reportDates.startDate);
+  const endDate = formatDate(report.reportDates && report.reportDates.endDate);
+  sheet.addRow(['Period', report.periodKey ? `${report.periodKey} (${startDate} to ${endDate})` : `${startDate} to ${endDate}`]);
+  (options.extraHeaders || []).forEach(([label, value]) => {
+    sheet.addRow([label, value === undefined || value === null ? '' : value]);
+  });
+  sheet.addRow([]);
+
+  const headerRow = sheet.addRow(columns);
+  headerRow.eachCell(cell => {
+    cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    cell.fill = solidFill(HEADER_FILL);
+    cell.alignment = { vertical: 'middle', horizontal: 'center' };
+  });
+
+  const statusColumns = columns.map(column => isStatusColumn(column));
+
+  rows.forEach(row => {
+    const sheetRow = sheet.addRow(columns.map(column => {
+      const value = row ? row[column] : '';
+      return value === undefined || value === null ? '' : String(value);
+    }));
+
+    columns.forEach((column, index) => {
+      if (!statusColumns[index]) return;
+
+      const colours = STATUS_FILLS[classifyStatus(row && row[column])];
+      if (!colours) return;
+
+      const cell = sheetRow.getCell(index + 1);
+      cell.fill = solidFill(colours.fill);
+      cell.font = { color: { argb: colours.font } };
+      cell.alignment = { horizontal: 'center' };
+    });
+  });
+
+  // Size each column to its longest value
+  columns.forEach((column, index) => {
+    const longest = rows.reduce((max, row) => {
+      const value = row && row[column] ? String(row[column]) : '';
+      return Math.max(max, value.length);
+    }, column.length);
+    sheet.getColumn(index + 1).width = Math.min(Math.max(longest + 2, MIN_COLUMN_WIDTH), MAX_COLUMN_WIDTH);
+  });
+
+  // Keep the grid header visible while scrolling
+  sheet.views = [{ state: 'frozen', xSplit: 0, ySplit: headerRow.number }];
+  if (columns.length > 0) {
+    sheet.autoFilter = {
+      from: { row: headerRow.number, column: 1 },
+      to: { row: headerRow.number, column: columns.length }
+    };
+  }
+
+  return workbook;
+};
+
+module.exports = {
+  buildReportWorkbook
+};